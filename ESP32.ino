@@ -23,6 +23,8 @@ bool buttonHolding = false;
 // ===== WebSocket Server =====
 const char* ws_host = "";  // 🔥 เปลี่ยนเป็น IP ของคอมพิวเตอร์ที่รันเซิร์ฟเวอร์
 const int ws_port = ;// 🔥 เปลี่ยนเป็นพอร์ตที่เซิร์ฟเวอร์ใช้
+const char* device_id = "esp32-1";  // 🔥 ID ของหน้าต่างนี้ (ห้ามซ้ำกับตัวอื่น)
+const char* device_key = "";        // 🔥 API key ที่ได้จาก POST /api/devices
 
 WebsocketsClient wsClient;
 
@@ -39,6 +41,13 @@ int lightValue;
 bool windowOpen = false;
 int servoStop = 90;
 
+// ===== AUTO thresholds (อัปเดตจากเซิร์ฟเวอร์ด้วย CONFIG:) =====
+float autoOpenTemp = 25;
+float autoCloseTemp = 25;
+int lightThreshold = 1000;
+bool autoEnabled = true;
+bool weatherHold = false;  // ฝนตก/ลมแรง/ข้างนอกร้อนกว่า → AUTO ปิดหน้าต่างค้างไว้
+
 /* ================= Servo ================= */
 
 void beep() {
@@ -65,6 +74,38 @@ void closeWindow() {
   windowOpen = false;
 }
 
+// คืนค่า true ถ้าเป็นคำสั่งที่รู้จักและทำงานแล้ว
+bool applyCommand(String cmd) {
+
+  if (cmd == "AUTO") {
+    controlMode = AUTO;
+    Serial.println("Mode -> AUTO");
+    return true;
+  }
+
+  if (cmd == "OPEN") {
+    controlMode = MANUAL;
+    Serial.println("Mode -> MANUAL (OPEN)");
+
+    if (!windowOpen) {
+      openWindow();
+    }
+    return true;
+  }
+
+  if (cmd == "CLOSE") {
+    controlMode = MANUAL;
+    Serial.println("Mode -> MANUAL (CLOSE)");
+
+    if (windowOpen) {
+      closeWindow();
+    }
+    return true;
+  }
+
+  return false;
+}
+
 void onMessageCallback(WebsocketsMessage message) {
 
   String cmd = message.data();
@@ -72,34 +113,48 @@ void onMessageCallback(WebsocketsMessage message) {
 
   Serial.println("CMD: [" + cmd + "]");
 
-  // 🔒 รับเฉพาะคำสั่งจริงเท่านั้น
-  if (cmd == "AUTO" || cmd == "OPEN" || cmd == "CLOSE") {
-
-    if (cmd == "AUTO") {
-      controlMode = AUTO;
-      Serial.println("Mode -> AUTO");
+  // CONFIG:<open temp>,<close temp>,<light threshold>,<auto 1|0>[,<weather hold 1|0>]
+  if (cmd.startsWith("CONFIG:")) {
+    String cfg = cmd.substring(7);
+    int p1 = cfg.indexOf(',');
+    int p2 = cfg.indexOf(',', p1 + 1);
+    int p3 = cfg.indexOf(',', p2 + 1);
+    int p4 = cfg.indexOf(',', p3 + 1);
+
+    if (p1 > 0 && p2 > p1 && p3 > p2) {
+      autoOpenTemp = cfg.substring(0, p1).toFloat();
+      autoCloseTemp = cfg.substring(p1 + 1, p2).toFloat();
+      lightThreshold = cfg.substring(p2 + 1, p3).toInt();
+      autoEnabled = cfg.substring(p3 + 1, p4 > p3 ? p4 : cfg.length()).toInt() == 1;
+      weatherHold = p4 > p3 && cfg.substring(p4 + 1).toInt() == 1;
+      Serial.println("Config updated");
+    } else {
+      Serial.println("Invalid config");
     }
+    return;
+  }
 
-    else if (cmd == "OPEN") {
-      controlMode = MANUAL;
-      Serial.println("Mode -> MANUAL (OPEN)");
-
-      if (!windowOpen) {
-        openWindow();
-      }
+  // CMD:<commandId>:<command> → ตอบ ACK:<commandId> หรือ NACK:<commandId>:<reason>
+  if (cmd.startsWith("CMD:")) {
+    int sep = cmd.indexOf(':', 4);
+    if (sep <= 4) {
+      Serial.println("Invalid command frame");
+      return;
     }
 
-    else if (cmd == "CLOSE") {
-      controlMode = MANUAL;
-      Serial.println("Mode -> MANUAL (CLOSE)");
+    String commandId = cmd.substring(4, sep);
+    String action = cmd.substring(sep + 1);
 
-      if (windowOpen) {
-        closeWindow();
-      }
+    if (applyCommand(action)) {
+      wsClient.send("ACK:" + commandId);
+    } else {
+      wsClient.send("NACK:" + commandId + ":unknown command");
     }
+    return;
   }
 
-  else {
+  // 🔒 รับเฉพาะคำสั่งจริงเท่านั้น (รูปแบบเก่า ไม่มี ACK)
+  if (!applyCommand(cmd)) {
     // 🚫 ถ้าไม่ใช่คำสั่ง คำอื่น ignore
     Serial.println("Ignored message");
   }
@@ -120,6 +175,8 @@ void connectWebSocket() {
   if (wsClient.connect(url)) {
     Serial.println("WebSocket Connected");
     wsClient.send("ROLE:ESP32");
+    wsClient.send("DEVICE:" + String(device_id));
+    wsClient.send("AUTH:" + String(device_key));
   } else {
     Serial.println("WebSocket Failed");
   }
@@ -247,18 +304,22 @@ void loop() {
   if (isnan(temperature)) return;
 
   // ===== AUTO MODE (ต้องทำงานแม้ไม่มี WiFi) =====
-  if (controlMode == AUTO) {
+  if (controlMode == AUTO && autoEnabled) {
+
+    if (weatherHold) {
+
+      if (windowOpen) closeWindow();
 
-    if (lightValue > 1000) {
+    } else if (lightValue > lightThreshold) {
 
       if (windowOpen) closeWindow();
 
     } else {
 
-      if (temperature >= 25 && !windowOpen)
+      if (temperature >= autoOpenTemp && !windowOpen)
         openWindow();
 
-      if (temperature < 25 && windowOpen)
+      if (temperature < autoCloseTemp && windowOpen)
         closeWindow();
     }
   }
@@ -8,6 +8,39 @@ CREATE TABLE IF NOT EXISTS users (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- admin, owner, member or viewer (see lib/roles.js)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'owner';
+
+-- When the user proved they own `email` (NULL = not verified). Changing the
+-- email clears it.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS window_settings (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  auto_open_temp NUMERIC(4,1) DEFAULT 25.0,  -- open at or above this temperature
+  auto_close_temp NUMERIC(4,1) DEFAULT 25.0, -- close below this temperature
+  auto_mode BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Raw LDR reading above which the window is kept closed in AUTO mode
+ALTER TABLE window_settings ADD COLUMN IF NOT EXISTS light_threshold INTEGER DEFAULT 1000;
+
+-- Calibrated light (lux) at or above which the dashboard shows day, and at
+-- or below which it shows night; in between is dusk/dawn
+ALTER TABLE window_settings ADD COLUMN IF NOT EXISTS day_lux INTEGER DEFAULT 300;
+ALTER TABLE window_settings ADD COLUMN IF NOT EXISTS night_lux INTEGER DEFAULT 50;
+
+-- Weather-aware AUTO: keep the window closed when it rains or rain is
+-- forecast, when the wind is above weather_max_wind km/h (0 = off), or when
+-- it is warmer outside than inside
+ALTER TABLE window_settings ADD COLUMN IF NOT EXISTS weather_enabled BOOLEAN DEFAULT TRUE;
+ALTER TABLE window_settings ADD COLUMN IF NOT EXISTS weather_close_on_rain BOOLEAN DEFAULT TRUE;
+ALTER TABLE window_settings ADD COLUMN IF NOT EXISTS weather_max_wind REAL DEFAULT 40;
+ALTER TABLE window_settings ADD COLUMN IF NOT EXISTS weather_close_when_warmer BOOLEAN DEFAULT TRUE;
+
 CREATE INDEX IF NOT EXISTS idx_window_settings_user_id ON window_settings(user_id);
 CREATE INDEX IF NOT EXISTS idx_window_settings_created_at ON window_settings(created_at);
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -31,3 +64,256 @@ CREATE TABLE IF NOT EXISTS user_tokens (
 CREATE INDEX IF NOT EXISTS idx_user_tokens_user_id ON user_tokens(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_tokens_revoked ON user_tokens(revoked);
 CREATE INDEX IF NOT EXISTS idx_user_tokens_expires_at ON user_tokens(expires_at);
+
+-- Window controllers (one row per ESP32). The id is the device ID the
+-- controller announces on the WebSocket with DEVICE:<id>.
+CREATE TABLE IF NOT EXISTS devices (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(100),
+  owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL = visible to every user
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_devices_owner_id ON devices(owner_id);
+
+-- Per-device API key (sha256 of the key issued by POST /api/devices or
+-- POST /api/devices/:id/key). Controllers present the raw key with AUTH:<key>.
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS api_key_hash VARCHAR(64);
+
+-- Households share windows between people. The creator is the household's
+-- owner; others join by invitation as member (controls the windows) or
+-- viewer (watches only).
+CREATE TABLE IF NOT EXISTS households (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS household_members (
+  household_id INTEGER REFERENCES households(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'member', -- owner, member or viewer
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (household_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_household_members_user_id ON household_members(user_id);
+
+-- An invitation is accepted with its code. With an email only the user
+-- with that address can accept it; without one, anyone who has the code.
+CREATE TABLE IF NOT EXISTS household_invitations (
+  id SERIAL PRIMARY KEY,
+  household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  email VARCHAR(100),
+  code VARCHAR(32) UNIQUE NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'member',
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, accepted, declined, revoked
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  responded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_household_invitations_household ON household_invitations(household_id);
+CREATE INDEX IF NOT EXISTS idx_household_invitations_email ON household_invitations(email);
+
+-- The household whose members may use the window (NULL = owner only)
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS household_id INTEGER REFERENCES households(id) ON DELETE SET NULL;
+
+-- Sensor calibration profile { lightOffset, lightCurve, temperatureOffset }
+-- (see lib/calibration.js); NULL = the default profile
+ALTER TABLE devices ADD COLUMN IF NOT EXISTS calibration JSONB;
+
+-- Scheduled window commands, e.g. OPEN at 07:00 on weekdays.
+-- time_of_day is wall-clock time in `timezone`; last_run_at is the
+-- occurrence that was last handled (run or skipped) and lets the scheduler
+-- pick up where it left off after a restart.
+CREATE TABLE IF NOT EXISTS schedules (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  device_id VARCHAR(64) REFERENCES devices(id) ON DELETE CASCADE,
+  command VARCHAR(10) NOT NULL,                      -- OPEN, CLOSE, AUTO
+  time_of_day VARCHAR(5) NOT NULL,                   -- HH:MM (24h)
+  days_of_week INTEGER[] DEFAULT '{0,1,2,3,4,5,6}',  -- 0 = Sunday
+  timezone VARCHAR(64) DEFAULT 'Asia/Bangkok',
+  enabled BOOLEAN DEFAULT TRUE,
+  last_run_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedules_user_id ON schedules(user_id);
+CREATE INDEX IF NOT EXISTS idx_schedules_device_id ON schedules(device_id);
+
+-- Telemetry history (one row per sample the controller reports)
+CREATE TABLE IF NOT EXISTS sensor_readings (
+  id BIGSERIAL PRIMARY KEY,
+  device_id VARCHAR(64) NOT NULL,
+  temperature REAL,
+  light REAL,
+  window_state VARCHAR(10), -- OPEN or CLOSE ("window" is reserved in SQL)
+  mode VARCHAR(10),
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- temperature and light hold calibrated values (°C, lux); the *_raw columns
+-- what the controller reported. Rows from before calibration have no raw
+-- values and the raw LDR reading in light.
+ALTER TABLE sensor_readings ADD COLUMN IF NOT EXISTS temperature_raw REAL;
+ALTER TABLE sensor_readings ADD COLUMN IF NOT EXISTS light_raw REAL;
+
+CREATE INDEX IF NOT EXISTS idx_sensor_readings_device_time ON sensor_readings(device_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_sensor_readings_recorded_at ON sensor_readings(recorded_at);
+
+-- Compacted telemetry written by the retention job. Raw samples older than
+-- RETENTION_RAW_DAYS become hourly rows, hourly rows older than
+-- RETENTION_HOURLY_DAYS become daily rows.
+CREATE TABLE IF NOT EXISTS sensor_rollups (
+  device_id VARCHAR(64) NOT NULL,
+  bucket VARCHAR(10) NOT NULL, -- hour or day
+  bucket_start TIMESTAMPTZ NOT NULL,
+  samples INTEGER NOT NULL,
+  temperature_min REAL,
+  temperature_avg REAL,
+  temperature_max REAL,
+  light_min REAL,
+  light_avg REAL,
+  light_max REAL,
+  open_ratio REAL, -- share of samples with the window open
+  PRIMARY KEY (device_id, bucket, bucket_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sensor_rollups_bucket_start ON sensor_rollups(bucket, bucket_start);
+
+-- Last run of each background job (retention, ...)
+CREATE TABLE IF NOT EXISTS job_runs (
+  job_name VARCHAR(50) PRIMARY KEY,
+  last_started_at TIMESTAMPTZ,
+  last_finished_at TIMESTAMPTZ,
+  last_status VARCHAR(10), -- ok or error
+  last_error TEXT,
+  last_stats JSONB
+);
+
+-- Command history (one row per finished command: acked, nacked, timeout, offline)
+CREATE TABLE IF NOT EXISTS command_logs (
+  id BIGSERIAL PRIMARY KEY,
+  command_id VARCHAR(64) NOT NULL,
+  device_id VARCHAR(64) NOT NULL,
+  command VARCHAR(10) NOT NULL,
+  source VARCHAR(20),
+  status VARCHAR(10) NOT NULL,
+  attempts INTEGER,
+  latency_ms INTEGER,
+  error TEXT,
+  window_state VARCHAR(10),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_command_logs_created_at ON command_logs(created_at);
+
+-- The user who sent the command (NULL for commands without one)
+ALTER TABLE command_logs ADD COLUMN IF NOT EXISTS user_id INTEGER;
+
+-- Controllers connecting and disconnecting, for the uptime report
+CREATE TABLE IF NOT EXISTS device_events (
+  id BIGSERIAL PRIMARY KEY,
+  device_id VARCHAR(64) NOT NULL,
+  event VARCHAR(10) NOT NULL,                 -- online, offline
+  reason VARCHAR(30),                         -- connected, closed, timeout, server_restart, broker_disconnected
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_events_device_time ON device_events(device_id, created_at);
+
+-- Alert rules, e.g. "temperature above 35 for 5 minutes" or "window OPEN
+-- between 22:00 and 06:00". Evaluated on every telemetry sample (offline
+-- rules on a timer); see lib/alerts.js.
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  device_id VARCHAR(64) REFERENCES devices(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  metric VARCHAR(20) NOT NULL,                -- temperature, light, window, offline
+  operator VARCHAR(10),                       -- above, below (temperature, light)
+  threshold REAL,                             -- temperature, light
+  window_state VARCHAR(10),                   -- OPEN, CLOSE (window)
+  hysteresis REAL DEFAULT 0,                  -- distance back past threshold to re-arm
+  duration_minutes INTEGER DEFAULT 0,         -- condition must hold this long
+  active_from VARCHAR(5),                     -- HH:MM, only evaluated inside
+  active_to VARCHAR(5),                       -- active_from..active_to
+  cooldown_minutes INTEGER DEFAULT 15,
+  quiet_start VARCHAR(5),                     -- HH:MM, recorded but not sent
+  quiet_end VARCHAR(5),
+  timezone VARCHAR(64) DEFAULT 'Asia/Bangkok',
+  enabled BOOLEAN DEFAULT TRUE,
+  last_fired_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_user_id ON alert_rules(user_id);
+
+-- Every alert a rule has fired
+CREATE TABLE IF NOT EXISTS alert_history (
+  id BIGSERIAL PRIMARY KEY,
+  rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  device_id VARCHAR(64) NOT NULL,
+  rule_name VARCHAR(100),
+  metric VARCHAR(20) NOT NULL,
+  value VARCHAR(20),                          -- reading that fired the rule
+  message TEXT,
+  notified BOOLEAN DEFAULT TRUE,              -- false during quiet hours
+  fired_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_history_user_time ON alert_history(user_id, fired_at);
+
+-- Where each user wants notifications sent
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  channels TEXT[] DEFAULT '{websocket}',      -- telegram, webhook, email, websocket
+  telegram_chat_id VARCHAR(64),
+  webhook_url TEXT,
+  email VARCHAR(100),
+  templates JSONB DEFAULT '{}',               -- event -> text template
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A Telegram chat can be linked to one user only (bot commands are run as that user)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_preferences_chat
+  ON notification_preferences(telegram_chat_id) WHERE telegram_chat_id IS NOT NULL;
+
+-- Who did what: sign-ins, settings changes, commands and admin edits.
+-- Append-only; user_id has no foreign key so entries outlive the account,
+-- and username keeps the name it had at the time.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER,                            -- NULL when nobody signed in (unknown username)
+  username VARCHAR(100),
+  action VARCHAR(30) NOT NULL,                -- login, login_failed, settings_update, command, ...
+  target_type VARCHAR(20),                    -- user, device, settings
+  target_id VARCHAR(64),
+  source VARCHAR(20),                         -- api, dashboard, telegram, schedule
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(255),
+  details JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_time ON audit_log(user_id, created_at);
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
@@ -0,0 +1,64 @@
+// ===============================
+// Admin Accounts
+// ===============================
+
+// Admins are ordinary users with the "admin" role. The first one is made
+// with `npm run create-admin` (scripts/create-admin.js), or from
+// ADMIN_USERNAME / ADMIN_EMAIL / ADMIN_PASSWORD when the server starts.
+
+const bcrypt = require("bcryptjs");
+const { checkPassword } = require("./passwords");
+
+// Create `username` as an admin, or give the existing user the admin role.
+// An existing user's password is only replaced with `resetPassword`. The
+// address is taken as verified, since whoever runs this chose it.
+// Resolves to { user, action: "created" | "promoted" | "updated" | "unchanged" }.
+async function seedAdmin(storage, { username, email, password, resetPassword = false }) {
+  const existing = await storage.findUserByUsername(username);
+
+  if (!existing) {
+    if (!email || !password) {
+      throw new Error("An email and a password are needed to create a new admin");
+    }
+    const taken = await storage.findUserByLogin(username, email);
+    if (taken) {
+      throw new Error(`${email} is already used by ${taken.username}`);
+    }
+    const weakness = checkPassword(password, { username, email });
+    if (weakness) {
+      throw new Error(weakness);
+    }
+    const user = await storage.createUser({
+      username,
+      email,
+      passwordHash: await bcrypt.hash(password, 10),
+      role: "admin",
+    });
+    await storage.createSettings(user.id);
+    await storage.setEmailVerified(user.id, true);
+    return { user, action: "created" };
+  }
+
+  let action = "unchanged";
+  if (resetPassword && password) {
+    const weakness = checkPassword(password, existing);
+    if (weakness) {
+      throw new Error(weakness);
+    }
+    await storage.updateUser(existing.id, {
+      username: existing.username,
+      email: existing.email,
+      passwordHash: await bcrypt.hash(password, 10),
+    });
+    action = "updated";
+  }
+  if (existing.role !== "admin") {
+    await storage.setUserRole(existing.id, "admin");
+    action = "promoted";
+  }
+
+  const user = await storage.findUserById(existing.id);
+  return { user: { id: user.id, username: user.username, email: user.email, role: user.role }, action };
+}
+
+module.exports = { seedAdmin };
@@ -0,0 +1,108 @@
+// ===============================
+// Alert Rules
+// ===============================
+
+// Rule evaluation without any I/O; the server feeds it readings and sends
+// whatever fires. Rules are alert_rules rows (see init.sql):
+//
+//   temperature / light   `operator` above|below `threshold`
+//   window                window is `window_state` (OPEN|CLOSE)
+//   offline               controller is not connected
+//
+// A rule fires once the condition has held for `duration_minutes`, then
+// stays quiet until it is cleared: for thresholds the value has to move
+// `hysteresis` back past the threshold, so readings hovering around it do
+// not fire again and again. `cooldown_minutes` is the minimum time between
+// two alerts of the same rule. Outside `active_from`..`active_to` the rule
+// is not evaluated; inside `quiet_start`..`quiet_end` alerts are recorded
+// but not sent.
+
+const { isWithinTimeOfDay } = require("./timezone");
+
+const ALERT_METRICS = ["temperature", "light", "window", "offline"];
+const ALERT_OPERATORS = ["above", "below"];
+
+// `reading` is { temperature, light, window } for telemetry, { online } for
+// the offline check
+function isBreached(rule, reading) {
+  switch (rule.metric) {
+    case "temperature":
+    case "light": {
+      const value = Number(reading[rule.metric]);
+      return rule.operator === "above" ? value > rule.threshold : value < rule.threshold;
+    }
+    case "window":
+      return reading.window === rule.window_state;
+    case "offline":
+      return reading.online === false;
+    default:
+      return false;
+  }
+}
+
+function isCleared(rule, reading) {
+  if (rule.metric === "temperature" || rule.metric === "light") {
+    const value = Number(reading[rule.metric]);
+    const hysteresis = Number(rule.hysteresis) || 0;
+    return rule.operator === "above"
+      ? value <= rule.threshold - hysteresis
+      : value >= rule.threshold + hysteresis;
+  }
+  return !isBreached(rule, reading);
+}
+
+// Runtime state of one rule: when the condition started holding, whether
+// the rule has fired and not cleared yet, and when it last fired
+function createRuleState(rule) {
+  return {
+    since: null,
+    active: false,
+    lastFiredAt: rule.last_fired_at ? new Date(rule.last_fired_at) : null,
+  };
+}
+
+// Advance `state` with a reading taken at `now`; true when the rule fires
+function evaluateRule(rule, state, reading, now) {
+  const inWindow = isWithinTimeOfDay(now, rule.active_from, rule.active_to, rule.timezone);
+
+  if (state.active) {
+    if (!inWindow || isCleared(rule, reading)) {
+      state.active = false;
+      state.since = null;
+    }
+    return false;
+  }
+
+  if (!inWindow || !isBreached(rule, reading)) {
+    state.since = null;
+    return false;
+  }
+
+  if (!state.since) state.since = now;
+  if (now - state.since < (rule.duration_minutes || 0) * 60000) return false;
+  if (state.lastFiredAt && now - state.lastFiredAt < (rule.cooldown_minutes || 0) * 60000) return false;
+
+  state.active = true;
+  state.lastFiredAt = now;
+  return true;
+}
+
+function isQuietTime(rule, now) {
+  return Boolean(rule.quiet_start && rule.quiet_end) &&
+    isWithinTimeOfDay(now, rule.quiet_start, rule.quiet_end, rule.timezone);
+}
+
+// The reading that made the rule fire, as stored in alert_history.value
+function alertValue(rule, reading) {
+  if (rule.metric === "offline") return "offline";
+  return String(reading[rule.metric]);
+}
+
+module.exports = {
+  ALERT_METRICS,
+  ALERT_OPERATORS,
+  createRuleState,
+  evaluateRule,
+  isQuietTime,
+  alertValue,
+};
@@ -0,0 +1,94 @@
+// ===============================
+// History Analytics
+// ===============================
+
+// Summaries for the history view and the export: window open/closed
+// periods from the telemetry, daily figures, and CSV output.
+
+const { getZonedParts, zonedTimeToDate } = require("./timezone");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Open/closed periods from storage.listWindowChanges() rows (oldest first).
+// A state lasts until the next change; the last one ends at the last sample.
+// -> [{ window, from, to }] (Dates)
+function windowPeriods(changes) {
+  const periods = [];
+  changes.forEach((change, i) => {
+    const next = changes[i + 1];
+    if (!next || !change.window) return;
+    const to = new Date(next.timestamp);
+    const last = periods[periods.length - 1];
+    if (last && last.window === change.window) {
+      last.to = to;
+    } else {
+      periods.push({ window: change.window, from: new Date(change.timestamp), to });
+    }
+  });
+  return periods;
+}
+
+// Milliseconds of OPEN and of any known state within [start, end)
+function windowTimeBetween(periods, start, end) {
+  let openMs = 0;
+  let knownMs = 0;
+  periods.forEach((period) => {
+    const overlap = Math.min(period.to, end) - Math.max(period.from, start);
+    if (overlap <= 0) return;
+    knownMs += overlap;
+    if (period.window === "OPEN") openMs += overlap;
+  });
+  return { openMs, knownMs };
+}
+
+function round(value, digits) {
+  if (value == null || !Number.isFinite(Number(value))) return null;
+  const factor = 10 ** digits;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+// One summary per day from querySensorHistory() rows with bucket "day"
+// (aligned to `timezone`). Hours open come from `periods`; days with only
+// rollups left (older than the raw retention) estimate them from open_ratio.
+function dailySummaries(dayRows, periods, timezone) {
+  return dayRows.map((row) => {
+    const start = new Date(row.timestamp);
+    const p = getZonedParts(start, timezone);
+    const end = zonedTimeToDate(p.year, p.month, p.day + 1, 0, 0, timezone);
+    const { openMs, knownMs } = windowTimeBetween(periods, start, end);
+    const estimated = knownMs === 0;
+    const hoursOpen = estimated ? Number(row.open_ratio) * ((end - start) / HOUR_MS) : openMs / HOUR_MS;
+
+    return {
+      deviceId: row.device_id,
+      date: `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`,
+      samples: Number(row.samples),
+      hoursOpen: round(hoursOpen, 2),
+      hoursOpenEstimated: estimated,
+      temperatureMin: round(row.temperature_min, 1),
+      temperatureAvg: round(row.temperature_avg, 1),
+      temperatureMax: round(row.temperature_max, 1),
+      lightMin: round(row.light_min, 0),
+      lightAvg: round(row.light_avg, 0),
+      lightMax: round(row.light_max, 0),
+    };
+  });
+}
+
+// Quote a CSV cell when needed. Text starting with = + - @ is prefixed with
+// ' so spreadsheets do not run it as a formula.
+function csvCell(value) {
+  if (value == null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with a header row; `columns` picks and orders the fields
+function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  rows.forEach((row) => lines.push(columns.map((column) => csvCell(row[column])).join(",")));
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { windowPeriods, dailySummaries, toCsv };
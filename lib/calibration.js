@@ -0,0 +1,106 @@
+// ===============================
+// Sensor Calibration
+// ===============================
+
+// Turns what a controller reports (the LDR's raw analogRead value 0..4095
+// and the DHT temperature) into real units. A profile is stored per device:
+//
+//   lightOffset        added to the raw light value before the curve
+//   lightCurve         [[raw, lux], ...] points, raw ascending; lux between
+//                      two points is interpolated linearly, outside the
+//                      first/last point it is held at that point's lux
+//   temperatureOffset  added to the reported temperature (°C)
+//
+// Lux may fall as raw rises, for an LDR wired so the reading goes up in
+// the dark.
+
+const ADC_MAX = 4095;
+const MAX_CURVE_POINTS = 16;
+const MAX_LUX = 200000;
+const MAX_TEMPERATURE_OFFSET = 20;
+
+// Used until a device has its own profile: a rough straight line, so
+// uncalibrated devices still show a plausible lux value
+const DEFAULT_CALIBRATION = {
+  lightOffset: 0,
+  lightCurve: [[0, 0], [ADC_MAX, 1000]],
+  temperatureOffset: 0,
+};
+
+function isNumberBetween(value, min, max) {
+  return typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Validate a profile from a request body; returns { error } or { value }.
+// Fields left out take the default.
+function parseCalibration(body) {
+  const value = { ...DEFAULT_CALIBRATION };
+
+  if (body.lightOffset != null) {
+    if (!isNumberBetween(body.lightOffset, -ADC_MAX, ADC_MAX)) {
+      return { error: `lightOffset must be a number from ${-ADC_MAX} to ${ADC_MAX}` };
+    }
+    value.lightOffset = body.lightOffset;
+  }
+
+  if (body.temperatureOffset != null) {
+    if (!isNumberBetween(body.temperatureOffset, -MAX_TEMPERATURE_OFFSET, MAX_TEMPERATURE_OFFSET)) {
+      return { error: `temperatureOffset must be a number from ${-MAX_TEMPERATURE_OFFSET} to ${MAX_TEMPERATURE_OFFSET}` };
+    }
+    value.temperatureOffset = body.temperatureOffset;
+  }
+
+  if (body.lightCurve != null) {
+    const curve = body.lightCurve;
+    if (!Array.isArray(curve) || curve.length < 2 || curve.length > MAX_CURVE_POINTS) {
+      return { error: `lightCurve must be a list of 2 to ${MAX_CURVE_POINTS} [raw, lux] points` };
+    }
+    for (const [i, point] of curve.entries()) {
+      if (!Array.isArray(point) || point.length !== 2 ||
+        !isNumberBetween(point[0], 0, ADC_MAX) || !isNumberBetween(point[1], 0, MAX_LUX)) {
+        return { error: `lightCurve points must be [raw 0-${ADC_MAX}, lux 0-${MAX_LUX}]` };
+      }
+      if (i > 0 && point[0] <= curve[i - 1][0]) {
+        return { error: "lightCurve raw values must be in ascending order" };
+      }
+    }
+    value.lightCurve = curve.map(([raw, lux]) => [raw, lux]);
+  }
+
+  return { value };
+}
+
+// Lux for a raw light value (offset applied, clamped to the ADC range)
+function rawLightToLux(profile, raw) {
+  const curve = profile.lightCurve;
+  const x = Math.min(Math.max(raw + profile.lightOffset, 0), ADC_MAX);
+
+  if (x <= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [x1, y1] = curve[i];
+    if (x <= x1) {
+      const [x0, y0] = curve[i - 1];
+      return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Calibrated temperature (°C) and light (lux) for a reading, plus the
+// values as reported. `profile` null means the default.
+function calibrateReading(profile, { temperature, light }) {
+  const calibration = profile || DEFAULT_CALIBRATION;
+  return {
+    temperature: round(temperature + calibration.temperatureOffset, 2),
+    light: round(rawLightToLux(calibration, light), 1),
+    temperatureRaw: temperature,
+    lightRaw: light,
+  };
+}
+
+module.exports = { DEFAULT_CALIBRATION, parseCalibration, calibrateReading };
@@ -0,0 +1,50 @@
+// ===============================
+// Firebase Setup
+// ===============================
+
+// Prefer passing the service account JSON via environment variable
+// (FIREBASE_SERVICE_ACCOUNT) to avoid committing credentials into Git.
+// initFirebase() returns the Realtime Database, or null when Firebase is
+// not configured or fails to start.
+
+const admin = require("firebase-admin");
+const fs = require("fs");
+const path = require("path");
+
+function initFirebase() {
+  let firebaseInitialized = false;
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    try {
+      const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        databaseURL: process.env.FIREBASE_DB_URL || "",
+      });
+      firebaseInitialized = true;
+      console.log("✅ Firebase initialized from FIREBASE_SERVICE_ACCOUNT");
+    } catch (error) {
+      console.error("❌ Firebase initialization error (env):", error.message);
+    }
+  } else {
+    const serviceAccountPath = "./serviceAccountKey.json";
+    if (fs.existsSync(serviceAccountPath)) {
+      try {
+        const serviceAccount = require(path.resolve(serviceAccountPath));
+        admin.initializeApp({
+          credential: admin.credential.cert(serviceAccount),
+          databaseURL: process.env.FIREBASE_DB_URL || "",
+        });
+        firebaseInitialized = true;
+        console.log("✅ Firebase initialized from serviceAccountKey.json");
+      } catch (error) {
+        console.error("❌ Firebase initialization error:", error.message);
+      }
+    } else {
+      console.warn("⚠️  serviceAccountKey.json not found and FIREBASE_SERVICE_ACCOUNT not set, Firebase disabled");
+    }
+  }
+
+  return firebaseInitialized && admin.database ? admin.database() : null;
+}
+
+module.exports = { initFirebase };
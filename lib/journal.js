@@ -0,0 +1,86 @@
+// ===============================
+// Write Journal
+// ===============================
+
+// An append-only JSON-lines file holding writes that could not be sent yet.
+// Entries stay in order; once the journal holds `maxEntries` the oldest
+// tenth is dropped to make room. The whole file is read at startup, so a
+// backlog survives restarts.
+
+const fs = require("fs");
+const path = require("path");
+
+function createJournal(file, maxEntries) {
+  let entries = [];
+  let dropped = 0;
+  let damaged = false;
+
+  try {
+    entries = fs.readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          damaged = true; // half-written last line after a crash
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  // Rewrite the file from memory (write + rename, so it is never half-written)
+  function rewrite() {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, entries.map((entry) => JSON.stringify(entry) + "\n").join(""));
+    fs.renameSync(tmp, file);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (damaged) rewrite();
+
+  return {
+    get size() {
+      return entries.length;
+    },
+
+    append(entry) {
+      if (entries.length >= maxEntries) {
+        const count = Math.max(1, Math.ceil(maxEntries / 10));
+        entries.splice(0, count);
+        dropped += count;
+        entries.push(entry);
+        rewrite();
+        return;
+      }
+      entries.push(entry);
+      fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+    },
+
+    // The oldest `count` entries, without removing them
+    peek(count) {
+      return entries.slice(0, count);
+    },
+
+    // Remove the oldest `count` entries
+    shift(count) {
+      entries.splice(0, count);
+      rewrite();
+    },
+
+    status() {
+      return {
+        pending: entries.length,
+        dropped,
+        oldest: entries.length > 0 ? entries[0].queuedAt : null,
+        maxEntries,
+        file,
+      };
+    },
+  };
+}
+
+module.exports = { createJournal };
@@ -0,0 +1,36 @@
+// ===============================
+// Mailer
+// ===============================
+
+// Outgoing mail over SMTP, shared by notifications and account mail
+// (verification, password reset). Without SMTP_HOST mail is off. For
+// development point it at a local catcher such as MailHog or smtp4dev
+// (SMTP_HOST=localhost SMTP_PORT=1025).
+
+const nodemailer = require("nodemailer");
+
+// smtp: { host, port, secure, user, pass, from }
+function createMailer(smtp) {
+  const transport = smtp.host
+    ? nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+    })
+    : null;
+
+  return {
+    enabled: Boolean(transport),
+
+    // Rejects when the server refuses the message
+    async send({ to, subject, text }) {
+      if (!transport) {
+        throw new Error("SMTP is not configured");
+      }
+      await transport.sendMail({ from: smtp.from, to, subject, text });
+    },
+  };
+}
+
+module.exports = { createMailer };
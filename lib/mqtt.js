@@ -0,0 +1,261 @@
+// ===============================
+// MQTT Transport
+// ===============================
+
+// Controllers may use MQTT instead of the WebSocket protocol. Topics per
+// device, under MQTT_TOPIC_PREFIX ("smartwindow"):
+//
+//   <prefix>/<device>/state   device -> server  telemetry JSON, as over WebSocket
+//   <prefix>/<device>/ack     device -> server  ACK:<commandId> or NACK:<commandId>:<reason>
+//   <prefix>/<device>/status  device -> server  "online" / "offline" (use "offline" as the will)
+//   <prefix>/<device>/cmd     server -> device  CMD:<commandId>:<command>
+//   <prefix>/<device>/config  server -> device  CONFIG:..., retained so a device
+//                                              gets it whenever it subscribes
+//
+// Messages are the same strings the WebSocket firmware handles. Modes:
+//
+//   broker  the server runs its own broker (aedes) on `port`. Devices log in
+//           with their device ID as username and API key as password, and
+//           may only use their own topics.
+//   client  the server connects to an existing broker (e.g. Mosquitto) at
+//           `url`. That broker authenticates the devices; its ACL has to keep
+//           each one to its own topics.
+//
+// A device counts as connected from its first message (or, on the built-in
+// broker, from login) until it disconnects, sends "offline", or stays
+// silent for `offlineTimeoutMs`.
+
+const net = require("net");
+const createAedes = require("aedes");
+const mqtt = require("mqtt");
+
+const MQTT_MODES = ["off", "broker", "client"];
+const DEVICE_TOPICS = ["state", "ack", "status"]; // what devices may publish
+const SERVER_TOPICS = ["cmd", "config"]; // what devices may subscribe to
+const MQTT_BAD_CREDENTIALS = 4; // CONNACK return code
+
+// options: { mode, port, url, username, password, clientId, topicPrefix,
+// offlineTimeoutMs }
+// handlers: {
+//   authenticate(deviceId, key) -> Promise<boolean>  broker mode logins
+//   accept(deviceId) -> Promise<boolean>             client mode: known device?
+//   onConnect(deviceId)          just before the device counts as connected
+//   onDisconnect(deviceId, reason)  after it stopped counting ("closed", "timeout", "broker_disconnected")
+//   onMessage(deviceId, kind, text)  kind: "state" or "ack"
+// }
+function createMqttTransport(options, handlers) {
+  const prefix = options.topicPrefix;
+  const connected = new Map(); // deviceId -> { lastSeenAt, clients: Set } (clients: broker mode)
+  let aedes = null;
+  let broker = null; // net.Server in broker mode
+  let client = null; // mqtt client in client mode
+  let sweepTimer = null;
+
+  // "<prefix>/<device>/<kind>" -> { deviceId, kind } or null
+  function parseTopic(topic) {
+    const parts = topic.split("/");
+    if (parts.length !== 3 || parts[0] !== prefix) return null;
+    return { deviceId: parts[1], kind: parts[2] };
+  }
+
+  function markConnected(deviceId, brokerClient) {
+    let entry = connected.get(deviceId);
+    if (!entry) {
+      handlers.onConnect(deviceId);
+      entry = { lastSeenAt: Date.now(), clients: new Set() };
+      connected.set(deviceId, entry);
+    }
+    entry.lastSeenAt = Date.now();
+    if (brokerClient) entry.clients.add(brokerClient);
+  }
+
+  // Drop one broker client, or the whole device (brokerClient null)
+  function markDisconnected(deviceId, reason, brokerClient) {
+    const entry = connected.get(deviceId);
+    if (!entry) return;
+    if (brokerClient) {
+      entry.clients.delete(brokerClient);
+      if (entry.clients.size > 0) return;
+    }
+    connected.delete(deviceId);
+    handlers.onDisconnect(deviceId, reason);
+  }
+
+  function handleDeviceMessage(deviceId, kind, payload, brokerClient) {
+    const text = payload.toString();
+    if (kind === "status") {
+      if (text === "offline") {
+        markDisconnected(deviceId, "closed", null);
+      } else if (text === "online") {
+        markConnected(deviceId, brokerClient);
+      }
+      return;
+    }
+    markConnected(deviceId, brokerClient);
+    handlers.onMessage(deviceId, kind, text);
+  }
+
+  // Devices silent for longer than offlineTimeoutMs are offline; on the
+  // built-in broker their connections are closed
+  function sweep() {
+    const now = Date.now();
+    connected.forEach((entry, deviceId) => {
+      if (now - entry.lastSeenAt <= options.offlineTimeoutMs) return;
+      entry.clients.forEach((brokerClient) => {
+        brokerClient.mqttOfflineReason = "timeout";
+        brokerClient.close();
+      });
+      connected.delete(deviceId);
+      handlers.onDisconnect(deviceId, "timeout");
+    });
+  }
+
+  function startBroker() {
+    aedes = createAedes();
+
+    aedes.authenticate = (brokerClient, username, password, callback) => {
+      const deviceId = username || "";
+      handlers.authenticate(deviceId, password ? password.toString() : "").then(
+        (valid) => {
+          if (!valid) {
+            const error = new Error("Invalid device credentials");
+            error.returnCode = MQTT_BAD_CREDENTIALS;
+            callback(error, false);
+            return;
+          }
+          brokerClient.deviceId = deviceId;
+          callback(null, true);
+        },
+        (error) => callback(error, false)
+      );
+    };
+
+    // Devices publish only to their own state/ack/status topics
+    aedes.authorizePublish = (brokerClient, packet, callback) => {
+      const topic = parseTopic(packet.topic);
+      if (!topic || topic.deviceId !== brokerClient.deviceId || !DEVICE_TOPICS.includes(topic.kind)) {
+        callback(new Error(`Not allowed to publish to ${packet.topic}`));
+        return;
+      }
+      callback(null);
+    };
+
+    // ... and subscribe only to their own cmd/config topics
+    aedes.authorizeSubscribe = (brokerClient, subscription, callback) => {
+      const topic = parseTopic(subscription.topic);
+      const allowed = topic && topic.deviceId === brokerClient.deviceId && SERVER_TOPICS.includes(topic.kind);
+      callback(null, allowed ? subscription : null);
+    };
+
+    aedes.on("clientReady", (brokerClient) => markConnected(brokerClient.deviceId, brokerClient));
+    aedes.on("clientDisconnect", (brokerClient) => {
+      markDisconnected(brokerClient.deviceId, brokerClient.mqttOfflineReason || "closed", brokerClient);
+    });
+    aedes.on("ping", (packet, brokerClient) => {
+      const entry = connected.get(brokerClient.deviceId);
+      if (entry) entry.lastSeenAt = Date.now();
+    });
+    aedes.on("publish", (packet, brokerClient) => {
+      // Our own publishes and the broker's $SYS messages have no client
+      if (!brokerClient) return;
+      const topic = parseTopic(packet.topic);
+      if (topic) handleDeviceMessage(topic.deviceId, topic.kind, packet.payload, brokerClient);
+    });
+    aedes.on("clientError", (brokerClient, error) => {
+      console.warn("⚠️  MQTT client error:", brokerClient.deviceId || brokerClient.id, error.message);
+    });
+
+    broker = net.createServer(aedes.handle);
+    broker.on("error", (error) => console.error("❌ MQTT broker error:", error.message));
+    broker.listen(options.port, () => console.log("✅ MQTT broker listening on port", options.port));
+  }
+
+  function startClient() {
+    client = mqtt.connect(options.url, {
+      username: options.username || undefined,
+      password: options.password || undefined,
+      clientId: options.clientId,
+      reconnectPeriod: 5000,
+    });
+
+    client.on("connect", () => {
+      console.log("✅ Connected to MQTT broker", options.url);
+      client.subscribe(DEVICE_TOPICS.map((kind) => `${prefix}/+/${kind}`), { qos: 1 }, (error) => {
+        if (error) console.error("❌ MQTT subscribe failed:", error.message);
+      });
+    });
+    // Without the broker no device can be reached
+    client.on("close", () => {
+      [...connected.keys()].forEach((deviceId) => markDisconnected(deviceId, "broker_disconnected", null));
+    });
+    client.on("error", (error) => console.warn("⚠️  MQTT connection error:", error.message));
+    client.on("message", (topicName, payload) => {
+      const topic = parseTopic(topicName);
+      if (!topic || !DEVICE_TOPICS.includes(topic.kind)) return;
+      if (connected.has(topic.deviceId)) {
+        handleDeviceMessage(topic.deviceId, topic.kind, payload, null);
+        return;
+      }
+      // A device that is not connected yet has to be a registered one
+      handlers.accept(topic.deviceId).then((known) => {
+        if (known) {
+          handleDeviceMessage(topic.deviceId, topic.kind, payload, null);
+        } else {
+          console.warn("⚠️  MQTT message from unknown device ignored:", topicName);
+        }
+      }, (error) => console.error("❌ MQTT device lookup failed:", error.message));
+    });
+  }
+
+  return {
+    mode: options.mode,
+
+    start() {
+      if (options.mode === "broker") startBroker();
+      else if (options.mode === "client") startClient();
+      else return;
+      sweepTimer = setInterval(sweep, Math.max(1000, options.offlineTimeoutMs / 3));
+    },
+
+    isConnected(deviceId) {
+      return connected.has(deviceId);
+    },
+
+    // Send a message to a device; kind "config" is kept by the broker
+    publish(deviceId, kind, message) {
+      const topic = `${prefix}/${deviceId}/${kind === "config" ? "config" : "cmd"}`;
+      const retain = kind === "config";
+      const done = (error) => {
+        if (error) console.warn("⚠️  MQTT publish to", topic, "failed:", error.message);
+      };
+      if (aedes) {
+        aedes.publish({ cmd: "publish", topic, payload: Buffer.from(message), qos: 1, retain, dup: false }, done);
+      } else if (client) {
+        client.publish(topic, message, { qos: 1, retain }, done);
+      }
+    },
+
+    // Log a device out of the built-in broker (its key was rotated)
+    disconnect(deviceId) {
+      const entry = connected.get(deviceId);
+      if (entry) entry.clients.forEach((brokerClient) => brokerClient.close());
+    },
+
+    status() {
+      return {
+        mode: options.mode,
+        brokerConnected: options.mode === "client" ? Boolean(client && client.connected) : null,
+        connectedDevices: connected.size,
+      };
+    },
+
+    close() {
+      clearInterval(sweepTimer);
+      if (broker) broker.close();
+      if (aedes) aedes.close();
+      if (client) client.end();
+    },
+  };
+}
+
+module.exports = { MQTT_MODES, createMqttTransport };
@@ -0,0 +1,225 @@
+// ===============================
+// Notifications
+// ===============================
+
+// Sends a message to one user over the channels they picked (see
+// notification_preferences in init.sql). Channels are independent: each
+// gets its own retries with exponential backoff, so a dead webhook does not
+// hold up Telegram.
+//
+//   telegram   bot message to the user's chat ID
+//   webhook    JSON POST to the user's URL
+//   email      SMTP mail to the user's address
+//   websocket  "notification" frame to the user's open dashboards
+//
+// Webhooks may only go to public addresses, so a user cannot make the
+// server call into its own network. Hosts in `webhookAllowedHosts` are
+// exempt (e.g. a home automation box on the LAN).
+
+const axios = require("axios");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const NOTIFICATION_CHANNELS = ["telegram", "webhook", "email", "websocket"];
+
+// Text for each event; users can replace `text` with their own template.
+// Placeholders are {{name}}; see the vars passed by the server.
+const DEFAULT_TEMPLATES = {
+  alert: {
+    title: "Smart Window alert: {{rule}}",
+    text: "🚨 Smart Window Alert 🚨\n📋 {{rule}}\n📟 Device: {{device}}\n{{details}}",
+  },
+  test: {
+    title: "Smart Window test notification",
+    text: "✅ Test notification from Smart Window\n👤 {{username}}\n🕒 {{time}}",
+  },
+  invitation: {
+    title: "Smart Window: join {{household}}",
+    text: "🏠 {{inviter}} invited you to {{household}} as {{role}}.\nCode: {{code}} (valid until {{expires}})",
+  },
+};
+
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (vars[name] == null ? "" : String(vars[name])));
+}
+
+// { event, title, text, data } for an event, using the user's template if set
+function buildMessage(event, vars, templates) {
+  const template = DEFAULT_TEMPLATES[event];
+  const text = (templates && templates[event]) || template.text;
+  return {
+    event,
+    title: renderTemplate(template.title, vars),
+    text: renderTemplate(text, vars),
+    data: vars,
+  };
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]
+  .forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+function isPublicAddress(address) {
+  // ::ffff:10.0.0.1 is an IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  return family !== 0 && !NON_PUBLIC_ADDRESSES.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// options: { telegramToken, telegramApiUrl, mailer (lib/mailer.js),
+// pushToUser(userId, payload) -> sockets reached, retries, backoffMs, timeoutMs,
+// webhookAllowedHosts: [hostname] }
+function createNotifier(options) {
+  const allowedHosts = (options.webhookAllowedHosts || []).map((host) => host.toLowerCase());
+
+  // Error text when `hostname` is (or resolves to) a non-public address
+  function blockedHost(hostname, addresses) {
+    if (allowedHosts.includes(hostname.toLowerCase())) return null;
+    const blocked = addresses.find((address) => !isPublicAddress(address));
+    return blocked ? `Webhook host ${hostname} is not a public address (${blocked})` : null;
+  }
+
+  // The check runs again on every connection, so a name that resolves to a
+  // public address when saved cannot be pointed inside later
+  function webhookLookup(hostname, lookupOptions, callback) {
+    dns.lookup(hostname, { ...lookupOptions, all: true }, (error, entries) => {
+      if (error) return callback(error);
+      const blocked = blockedHost(hostname, entries.map((entry) => entry.address));
+      if (blocked) return callback(new Error(blocked));
+      if (lookupOptions.all) return callback(null, entries);
+      callback(null, entries[0].address, entries[0].family);
+    });
+  }
+  const webhookAgents = {
+    httpAgent: new http.Agent({ lookup: webhookLookup }),
+    httpsAgent: new https.Agent({ lookup: webhookLookup }),
+  };
+
+  // Error text for a webhook URL the server will not call, or null.
+  // Literal IPs never reach the lookup, so they are checked here.
+  async function checkWebhookUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return "webhookUrl must be an http(s) URL";
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return "webhookUrl must be an http(s) URL";
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(hostname)) {
+      return blockedHost(hostname, [hostname]);
+    }
+    try {
+      const entries = await dns.promises.lookup(hostname, { all: true });
+      return blockedHost(hostname, entries.map((entry) => entry.address));
+    } catch (error) {
+      return `Webhook host ${hostname} could not be resolved`;
+    }
+  }
+
+  // target(prefs) picks the address; send() returns false when there was
+  // nobody to deliver to (not retried) and throws to retry
+  const channels = {
+    telegram: {
+      available: () => Boolean(options.telegramToken),
+      target: (prefs) => prefs.telegram_chat_id,
+      async send(chatId, message) {
+        await axios.post(
+          `${options.telegramApiUrl}/bot${options.telegramToken}/sendMessage`,
+          { chat_id: chatId, text: message.text },
+          { timeout: options.timeoutMs }
+        );
+      },
+    },
+    webhook: {
+      available: () => true,
+      target: (prefs) => prefs.webhook_url,
+      async send(url, message) {
+        const blocked = await checkWebhookUrl(url);
+        if (blocked) throw new Error(blocked);
+        // No redirects: they could lead back inside
+        await axios.post(url, { ...message, sentAt: new Date().toISOString() }, {
+          timeout: options.timeoutMs,
+          maxRedirects: 0,
+          ...webhookAgents,
+        });
+      },
+    },
+    email: {
+      available: () => options.mailer.enabled,
+      target: (prefs) => prefs.email,
+      async send(address, message) {
+        await options.mailer.send({ to: address, subject: message.title, text: message.text });
+      },
+    },
+    websocket: {
+      available: () => true,
+      target: (prefs) => prefs.user_id,
+      async send(userId, message) {
+        return options.pushToUser(userId, message) > 0;
+      },
+    },
+  };
+
+  async function sendWithRetry(channel, target, message, retries) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const delivered = await channel.send(target, message);
+        return delivered === false
+          ? { status: "skipped", attempts: attempt, error: "Nobody to deliver to" }
+          : { status: "sent", attempts: attempt };
+      } catch (error) {
+        if (attempt > retries) {
+          return { status: "failed", attempts: attempt, error: error.message };
+        }
+        await sleep(options.backoffMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  // Which channels this server can use at all
+  function availableChannels() {
+    return NOTIFICATION_CHANNELS.filter((name) => channels[name].available());
+  }
+
+  // Send `message` on the channels in `prefs` (or just `only`). Resolves
+  // with one { channel, status: sent|failed|skipped, attempts, error } each.
+  function notify(prefs, message, { retries = options.retries, only } = {}) {
+    const names = only ? [only] : prefs.channels || [];
+    return Promise.all(names.map(async (name) => {
+      const channel = channels[name];
+      if (!channel || !channel.available()) {
+        return { channel: name, status: "skipped", attempts: 0, error: "Channel not configured on the server" };
+      }
+      const target = channel.target(prefs);
+      if (!target) {
+        return { channel: name, status: "skipped", attempts: 0, error: "No address set" };
+      }
+      return { channel: name, ...(await sendWithRetry(channel, target, message, retries)) };
+    }));
+  }
+
+  return { notify, availableChannels, checkWebhookUrl };
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  buildMessage,
+  createNotifier,
+};
@@ -0,0 +1,43 @@
+// ===============================
+// Password Rules
+// ===============================
+
+// Checked whenever a password is set: registration, reset, admin edits and
+// `npm run create-admin`. Existing passwords keep working.
+
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+const PASSWORD_MAX_BYTES = 72; // bcrypt ignores anything longer
+
+const COMMON_PASSWORDS = new Set([
+  "password", "password1", "passw0rd", "12345678", "123456789", "1234567890", "qwerty123",
+  "qwertyuiop", "iloveyou", "11111111", "abc12345", "admin123", "letmein1", "welcome1",
+  "smartwindow", "changeme", "change-me",
+]);
+
+// Returns what is wrong with `password`, or null when it is acceptable.
+// `account` is { username, email }, which the password must not contain.
+function checkPassword(password, account = {}) {
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    return `Password must be at most ${PASSWORD_MAX_BYTES} bytes`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return "Password must contain letters and numbers";
+  }
+
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) {
+    return "Password is too common";
+  }
+  const names = [account.username, account.email && account.email.split("@")[0]]
+    .filter((name) => name && name.length >= 3)
+    .map((name) => name.toLowerCase());
+  if (names.some((name) => lower.includes(name))) {
+    return "Password must not contain the username or email";
+  }
+  return null;
+}
+
+module.exports = { PASSWORD_MIN_LENGTH, checkPassword };
@@ -0,0 +1,66 @@
+// ===============================
+// Roles and Permissions
+// ===============================
+
+// Every user has one role (users.role in init.sql):
+//
+//   admin    everything, including the admin pages and other users' data
+//   owner    registers devices, issues their keys, controls them and shares
+//            them with a household
+//   member   controls devices and manages schedules, alert rules and settings
+//   viewer   watches the dashboard and history, changes nothing
+//
+// Routes and WebSocket commands ask for a permission, not a role, so a role
+// can be given more (or less) without touching the handlers. Inside a
+// household the same names are used for the household role (owner, member,
+// viewer), which limits what a user may do with that household's windows.
+
+const ROLES = ["admin", "owner", "member", "viewer"];
+
+// Users who sign themselves up, and rows from before roles existed
+const DEFAULT_ROLE = "owner";
+
+const PERMISSIONS = {
+  "devices:control": ["admin", "owner", "member"],
+  "devices:manage": ["admin", "owner"],
+  "schedules:write": ["admin", "owner", "member"],
+  "alerts:write": ["admin", "owner", "member"],
+  "settings:write": ["admin", "owner", "member"],
+  "households:manage": ["admin", "owner"],
+  "users:manage": ["admin"],
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function roleOf(user) {
+  return (user && user.role) || DEFAULT_ROLE;
+}
+
+function can(user, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error("Unknown permission: " + permission);
+  return roles.includes(roleOf(user));
+}
+
+// The user's role for a device: "admin", "owner" of their own device, their
+// household role when the device is shared with a household they are in,
+// or null (no access). Devices without an owner are admin-only.
+// memberships: Map(householdId -> role) of the user's households
+function roleForDevice(user, device, memberships) {
+  if (!user || !device) return null;
+  if (user.role === "admin") return "admin";
+  if (device.ownerId != null && String(device.ownerId) === String(user.id)) return "owner";
+  const inHousehold = memberships && device.householdId != null ? memberships.get(String(device.householdId)) : null;
+  return inHousehold || null;
+}
+
+// Both the user's own role and their role for the device (from
+// roleForDevice) must allow commands, so a household viewer cannot open a
+// shared window
+function canControlAs(user, deviceRole) {
+  return deviceRole != null && can(user, "devices:control") && can({ role: deviceRole }, "devices:control");
+}
+
+module.exports = { ROLES, DEFAULT_ROLE, PERMISSIONS, isValidRole, roleOf, can, roleForDevice, canControlAs };
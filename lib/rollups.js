@@ -0,0 +1,42 @@
+// ===============================
+// Telemetry Rollups
+// ===============================
+
+// A rollup summarises many samples:
+//   { samples, temperature_min/avg/max, light_min/avg/max, open_ratio }
+// Used by the retention job for the Firebase logs and by the document
+// storage backends (memory, Firebase).
+
+function sampleToRollup(sample) {
+  const temperature = Number(sample.temperature);
+  const light = Number(sample.light);
+  return {
+    samples: 1,
+    temperature_min: temperature,
+    temperature_avg: temperature,
+    temperature_max: temperature,
+    light_min: light,
+    light_avg: light,
+    light_max: light,
+    open_ratio: sample.window === "OPEN" ? 1 : 0,
+  };
+}
+
+// Merge b into rollup a (sample-weighted averages)
+function mergeRollups(a, b) {
+  if (!a) return { ...b };
+  const samples = a.samples + b.samples;
+  const weighted = (field) => (a[field] * a.samples + b[field] * b.samples) / samples;
+  return {
+    samples,
+    temperature_min: Math.min(a.temperature_min, b.temperature_min),
+    temperature_avg: weighted("temperature_avg"),
+    temperature_max: Math.max(a.temperature_max, b.temperature_max),
+    light_min: Math.min(a.light_min, b.light_min),
+    light_avg: weighted("light_avg"),
+    light_max: Math.max(a.light_max, b.light_max),
+    open_ratio: weighted("open_ratio"),
+  };
+}
+
+module.exports = { sampleToRollup, mergeRollups };
@@ -0,0 +1,168 @@
+// ===============================
+// Sensor Ingestion
+// ===============================
+
+// Checks every telemetry sample before the server uses it. A sample is
+// rejected when a value is missing or not a number ("invalid"), outside
+// what the sensor can read ("range"), or too far from the last accepted
+// value ("jump"). A jump that repeats for `jumpConfirmSamples` samples in a
+// row is a real change and is accepted. Accepted values can be smoothed
+// with a moving mean or median.
+//
+// A device gets a sensor fault when its samples have been rejected for
+// `faultMs`, or when temperature and light have not changed at all for
+// `stuckMs` (a hung sensor keeps repeating its last reading). The fault
+// clears with the next accepted, changing sample.
+//
+// Everything works on the values as the controller reports them, before
+// calibration.
+
+const SENSOR_METRICS = ["temperature", "light"];
+const SMOOTHING_METHODS = ["none", "mean", "median"];
+const REJECT_REASONS = ["invalid", "range", "jump"];
+
+// DHT22 range and the ESP32's 12-bit ADC
+const DEFAULT_LIMITS = {
+  temperature: [-40, 80],
+  light: [0, 4095],
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// options: { limits, maxJump: { metric: delta, 0 = off }, jumpConfirmSamples,
+// jumpResetMs, smoothing, smoothingWindow, stuckMs, faultMs } (0 = off)
+function createSensorFilter(options) {
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const devices = new Map();
+
+  function stateOf(deviceId) {
+    if (!devices.has(deviceId)) {
+      devices.set(deviceId, {
+        accepted: 0,
+        rejected: Object.fromEntries(REJECT_REASONS.map((reason) => [reason, 0])),
+        lastRejected: null, // { at, reason, detail }
+        last: null, // last accepted sample { temperature, light, at }
+        jumps: { temperature: [], light: [] }, // values rejected as a jump in a row
+        recent: { temperature: [], light: [] }, // for smoothing
+        unchangedSince: null,
+        rejectingSince: null,
+        fault: null, // { reason, since }
+      });
+    }
+    return devices.get(deviceId);
+  }
+
+  // Set or clear the fault; true when it changed
+  function setFault(state, reason, now) {
+    const current = state.fault ? state.fault.reason : null;
+    if (current === reason) return false;
+    state.fault = reason ? { reason, since: new Date(now).toISOString() } : null;
+    return true;
+  }
+
+  // Count a rejected sample. -> { ok: false, reason, detail, fault, faultChanged }
+  function reject(deviceId, reason, detail, now = Date.now()) {
+    const state = stateOf(deviceId);
+    state.rejected[reason] += 1;
+    state.lastRejected = { at: new Date(now).toISOString(), reason, detail };
+    if (state.rejectingSince === null) state.rejectingSince = now;
+
+    const faulty = options.faultMs > 0 && now - state.rejectingSince >= options.faultMs;
+    const faultChanged = faulty ? setFault(state, "invalid", now) : false;
+    return { ok: false, reason, detail, fault: state.fault, faultChanged };
+  }
+
+  // Whether `value` jumps too far from the last accepted one. Repeated
+  // jumps that agree with each other are let through once confirmed.
+  function isJump(state, metric, value, now) {
+    const maxJump = options.maxJump[metric];
+    const last = state.last;
+    if (!maxJump || !last || now - last.at > options.jumpResetMs) return false;
+    if (Math.abs(value - last[metric]) <= maxJump) return false;
+
+    const run = state.jumps[metric];
+    if (run.length > 0 && Math.abs(value - run[run.length - 1]) > maxJump) run.length = 0;
+    run.push(value);
+    return run.length < options.jumpConfirmSamples;
+  }
+
+  function smooth(state, metric, value, confirmedJump) {
+    const recent = state.recent[metric];
+    // After a confirmed jump the old values belong to another level
+    if (confirmedJump) recent.length = 0;
+    recent.push(value);
+    if (recent.length > options.smoothingWindow) recent.shift();
+    if (options.smoothing === "mean") return mean(recent);
+    if (options.smoothing === "median") return median(recent);
+    return value;
+  }
+
+  // Check one sample { temperature, light }.
+  // -> { ok: true, reading: { temperature, light } (smoothed), fault, faultChanged }
+  //    or what reject() returns
+  function check(deviceId, data, now = Date.now()) {
+    const state = stateOf(deviceId);
+
+    for (const metric of SENSOR_METRICS) {
+      const value = data[metric];
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return reject(deviceId, "invalid", `${metric} is ${value === undefined ? "missing" : JSON.stringify(value)}`, now);
+      }
+      const [min, max] = limits[metric];
+      if (value < min || value > max) {
+        return reject(deviceId, "range", `${metric} ${value} is outside ${min}..${max}`, now);
+      }
+    }
+    for (const metric of SENSOR_METRICS) {
+      if (isJump(state, metric, data[metric], now)) {
+        return reject(deviceId, "jump", `${metric} jumped from ${state.last[metric]} to ${data[metric]}`, now);
+      }
+    }
+
+    const reading = {};
+    SENSOR_METRICS.forEach((metric) => {
+      const confirmedJump = state.jumps[metric].length > 0;
+      reading[metric] = smooth(state, metric, data[metric], confirmedJump);
+      state.jumps[metric].length = 0;
+    });
+
+    const unchanged = state.last && SENSOR_METRICS.every((metric) => data[metric] === state.last[metric]);
+    if (!unchanged) state.unchangedSince = now;
+    state.last = { temperature: data.temperature, light: data.light, at: now };
+    state.accepted += 1;
+    state.rejectingSince = null;
+
+    const stuck = options.stuckMs > 0 && now - state.unchangedSince >= options.stuckMs;
+    const faultChanged = setFault(state, stuck ? "stuck" : null, now);
+    return { ok: true, reading, fault: state.fault, faultChanged };
+  }
+
+  function faultOf(deviceId) {
+    return devices.has(deviceId) ? devices.get(deviceId).fault : null;
+  }
+
+  // Counters per device since the server started
+  function report() {
+    return [...devices.entries()].map(([deviceId, state]) => ({
+      deviceId,
+      accepted: state.accepted,
+      rejected: { ...state.rejected },
+      rejectedTotal: REJECT_REASONS.reduce((sum, reason) => sum + state.rejected[reason], 0),
+      lastRejected: state.lastRejected,
+      lastAccepted: state.last ? new Date(state.last.at).toISOString() : null,
+      fault: state.fault,
+    }));
+  }
+
+  return { check, reject, faultOf, report };
+}
+
+module.exports = { createSensorFilter, SMOOTHING_METHODS, DEFAULT_LIMITS };
@@ -0,0 +1,944 @@
+// ===============================
+// Document Storage
+// ===============================
+
+// The storage interface on top of a key/value document store. Used by the
+// memory and Firebase backends, which only provide the store adapter:
+//
+//   ping()                                 throws when the store is unreachable
+//   get(collection, key)                   value or null
+//   set(collection, key, value)
+//   remove(collection, keys)
+//   list(collection)                       every value, in key order
+//   range(collection, startKey, endKey, limit)
+//                                          [key, value] pairs in key order,
+//                                          both ends inclusive (null = open)
+//   last(collection, count)                the last `count` [key, value] pairs
+//   nextId(collection)                     sequential integer IDs
+//
+// Records keep the PostgreSQL column names so route handlers see the same
+// rows whichever backend is in use. Time series are keyed by timestamp
+// (ISO with "_" for ".", which sorts in time order) so ranges are key ranges.
+
+const { truncateDate } = require("../timezone");
+const { sampleToRollup, mergeRollups } = require("../rollups");
+const { DEFAULT_ROLE } = require("../roles");
+
+const BATCH_SIZE = 1000;
+// listCommands for some devices reads back at most this many log entries
+const COMMAND_SCAN_MAX = 10000;
+
+// Same defaults as the window_settings columns
+const SETTINGS_DEFAULTS = {
+  auto_open_temp: 25,
+  auto_close_temp: 25,
+  auto_mode: true,
+  light_threshold: 1000,
+  day_lux: 300,
+  night_lux: 50,
+  weather_enabled: true,
+  weather_close_on_rain: true,
+  weather_max_wind: 40,
+  weather_close_when_warmer: true,
+};
+
+// Collections counted in the usage report (time series are left out, since
+// counting them means reading every record)
+const COUNTED_COLLECTIONS = [
+  "users", "user_tokens", "window_settings", "devices", "schedules", "alert_rules", "notification_preferences",
+  "households", "household_members",
+];
+
+// Same defaults as the alert_rules columns
+const ALERT_RULE_DEFAULTS = {
+  operator: null,
+  threshold: null,
+  window_state: null,
+  hysteresis: 0,
+  duration_minutes: 0,
+  active_from: null,
+  active_to: null,
+  cooldown_minutes: 15,
+  quiet_start: null,
+  quiet_end: null,
+  enabled: true,
+};
+
+function timeKey(date) {
+  return new Date(date).toISOString().replace(/\./g, "_");
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+// Drop undefined fields and turn dates into ISO strings, as Firebase would
+function clean(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function createDocumentStorage(name, store) {
+  const find = async (collection, predicate) => (await store.list(collection)).find(predicate) || null;
+  const put = (collection, key, value) => store.set(collection, key, clean(value));
+  const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+  // Merge rollups into a rollup collection; keys are <bucketStart>_<deviceId>
+  async function writeRollups(collection, rollups) {
+    for (const [key, entry] of Object.entries(rollups)) {
+      const existing = await store.get(collection, key);
+      await put(collection, key, {
+        device_id: entry.device_id,
+        bucket_start: entry.bucket_start,
+        ...mergeRollups(existing, entry.rollup),
+      });
+    }
+  }
+
+  // Cascades like the foreign keys in init.sql
+  async function removeHousehold(id) {
+    const household = await store.get("households", String(id));
+    if (!household) return null;
+
+    const members = (await store.list("household_members")).filter((member) => sameId(member.household_id, id));
+    const invitations = (await store.list("household_invitations")).filter((invitation) =>
+      sameId(invitation.household_id, id)
+    );
+    await store.remove("household_members", members.map((member) => `${member.household_id}_${member.user_id}`));
+    await store.remove("household_invitations", invitations.map((invitation) => String(invitation.id)));
+
+    for (const device of await store.list("devices")) {
+      if (sameId(device.household_id, id)) {
+        await put("devices", device.id, { ...device, household_id: null });
+      }
+    }
+
+    await store.remove("households", [String(household.id)]);
+    return { id: household.id, name: household.name };
+  }
+
+  // Read `collection` in batches of keys before `cutoff` and hand each batch
+  // to `fn`, which must remove what it has handled
+  async function eachBatchBefore(collection, cutoff, fn) {
+    for (;;) {
+      const batch = await store.range(collection, null, timeKey(cutoff), BATCH_SIZE);
+      if (batch.length === 0) return;
+      await fn(batch);
+    }
+  }
+
+  return {
+    name,
+
+    async init() {
+      await store.ping();
+    },
+
+    ping() {
+      return store.ping();
+    },
+
+    async getUsage() {
+      const collections = {};
+      for (const collection of COUNTED_COLLECTIONS) {
+        collections[collection] = (await store.list(collection)).length;
+      }
+      const [oldest] = await store.range("sensor_readings", null, null, 1);
+      const [newest] = await store.last("sensor_readings", 1);
+      return {
+        collections,
+        oldestRawSample: oldest ? oldest[1].recorded_at : null,
+        newestRawSample: newest ? newest[1].recorded_at : null,
+      };
+    },
+
+    // Users
+
+    findUserById(id) {
+      return store.get("users", String(id));
+    },
+
+    findUserByUsername(username) {
+      return find("users", (user) => user.username === username);
+    },
+
+    findUserByLogin(username, email, excludeId) {
+      return find("users", (user) =>
+        (user.username === username || user.email === email) && !sameId(user.id, excludeId)
+      );
+    },
+
+    async createUser({ username, email, passwordHash, role }) {
+      const id = await store.nextId("users");
+      await put("users", String(id), {
+        id,
+        username,
+        email,
+        password_hash: passwordHash,
+        role: role || DEFAULT_ROLE,
+        created_at: now(),
+        updated_at: now(),
+      });
+      return { id, username, email, role: role || DEFAULT_ROLE };
+    },
+
+    async listUsers() {
+      const users = await store.list("users");
+      return users
+        .sort((a, b) => a.id - b.id)
+        .map(({ id, username, email, role, email_verified_at, created_at, updated_at }) => ({
+          id,
+          username,
+          email,
+          role: role || DEFAULT_ROLE,
+          email_verified_at: email_verified_at || null,
+          created_at,
+          updated_at,
+        }));
+    },
+
+    async updateUser(id, { username, email, passwordHash }) {
+      const user = await store.get("users", String(id));
+      if (!user) return null;
+      if (email !== user.email) user.email_verified_at = null;
+      Object.assign(user, { username, email, updated_at: now() });
+      if (passwordHash) user.password_hash = passwordHash;
+      await put("users", String(user.id), user);
+      return { id: user.id, username: user.username, email: user.email, role: user.role || DEFAULT_ROLE };
+    },
+
+    async setEmailVerified(id, verified) {
+      const user = await store.get("users", String(id));
+      if (!user) return null;
+      user.email_verified_at = verified ? now() : null;
+      await put("users", String(user.id), user);
+      return { id: user.id, username: user.username, email: user.email, role: user.role || DEFAULT_ROLE, email_verified_at: user.email_verified_at };
+    },
+
+    async setUserRole(id, role) {
+      const user = await store.get("users", String(id));
+      if (!user) return null;
+      Object.assign(user, { role, updated_at: now() });
+      await put("users", String(user.id), user);
+      return { id: user.id, username: user.username, email: user.email, role };
+    },
+
+    // Cascades like the foreign keys in init.sql
+    async deleteUser(id) {
+      const user = await store.get("users", String(id));
+      if (!user) return null;
+
+      const owned = (record) => sameId(record.user_id, user.id);
+      const tokens = (await store.list("user_tokens")).filter(owned);
+      const schedules = (await store.list("schedules")).filter(owned);
+      const rules = (await store.list("alert_rules")).filter(owned);
+      const alertKeys = (await store.range("alert_history", null, null))
+        .filter(([, event]) => owned(event))
+        .map(([key]) => key);
+      await store.remove("user_tokens", tokens.map((token) => String(token.id)));
+      await store.remove("schedules", schedules.map((schedule) => String(schedule.id)));
+      await store.remove("alert_rules", rules.map((rule) => String(rule.id)));
+      await store.remove("alert_history", alertKeys);
+      await store.remove("window_settings", [String(user.id)]);
+      await store.remove("notification_preferences", [String(user.id)]);
+
+      for (const household of await store.list("households")) {
+        if (sameId(household.owner_id, user.id)) {
+          await removeHousehold(household.id);
+        }
+      }
+      const memberships = (await store.list("household_members")).filter(owned);
+      await store.remove("household_members", memberships.map((member) => `${member.household_id}_${member.user_id}`));
+      for (const invitation of await store.list("household_invitations")) {
+        if (sameId(invitation.invited_by, user.id)) {
+          await put("household_invitations", String(invitation.id), { ...invitation, invited_by: null });
+        }
+      }
+
+      for (const device of await store.list("devices")) {
+        if (sameId(device.owner_id, user.id)) {
+          await put("devices", device.id, { ...device, owner_id: null });
+        }
+      }
+
+      await store.remove("users", [String(user.id)]);
+      return { id: user.id, username: user.username };
+    },
+
+    // Tokens (keyed by id; refresh tokens are rotated in place)
+
+    async saveToken({ userId, tokenHash, type, expiresAt, ipAddress, userAgent }) {
+      const id = await store.nextId("user_tokens");
+      await put("user_tokens", String(id), {
+        id,
+        user_id: userId ?? null,
+        token_hash: tokenHash,
+        type,
+        created_at: now(),
+        expires_at: expiresAt,
+        revoked: false,
+        ip_address: ipAddress ?? null,
+        user_agent: userAgent ?? null,
+      });
+      return id;
+    },
+
+    findTokenById(id) {
+      return store.get("user_tokens", String(id));
+    },
+
+    findTokenByHash(tokenHash) {
+      return find("user_tokens", (token) => token.token_hash === tokenHash);
+    },
+
+    async touchToken(id) {
+      const token = await store.get("user_tokens", String(id));
+      if (token) {
+        await put("user_tokens", String(id), { ...token, last_used_at: now() });
+      }
+    },
+
+    async rotateToken(id, { tokenHash, expiresAt, ipAddress, userAgent }) {
+      const token = await store.get("user_tokens", String(id));
+      if (!token || token.revoked) return null;
+      const rotated = {
+        ...token,
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        last_used_at: now(),
+        ip_address: ipAddress ?? null,
+        user_agent: userAgent ?? null,
+      };
+      await put("user_tokens", String(id), rotated);
+      return clean(rotated);
+    },
+
+    async revokeToken(id, userId) {
+      const token = await store.get("user_tokens", String(id));
+      if (!token || token.revoked || (userId != null && !sameId(token.user_id, userId))) return null;
+      await put("user_tokens", String(id), { ...token, revoked: true });
+      return { id: token.id };
+    },
+
+    async revokeUserTokens(userId, type) {
+      const tokens = (await store.list("user_tokens")).filter((token) =>
+        sameId(token.user_id, userId) && !token.revoked && (!type || token.type === type)
+      );
+      for (const token of tokens) {
+        await put("user_tokens", String(token.id), { ...token, revoked: true });
+      }
+      return tokens.map((token) => token.id);
+    },
+
+    async listSessions(userId) {
+      const time = new Date();
+      return (await store.list("user_tokens"))
+        .filter((token) => sameId(token.user_id, userId) && token.type === "refresh" &&
+          !token.revoked && new Date(token.expires_at) > time)
+        .map(({ id, created_at, last_used_at, expires_at, ip_address, user_agent }) =>
+          ({ id, created_at, last_used_at: last_used_at ?? null, expires_at, ip_address, user_agent }))
+        .sort((a, b) => new Date(b.last_used_at || b.created_at) - new Date(a.last_used_at || a.created_at));
+    },
+
+    async findInvalidTokenIds(ids) {
+      const time = new Date();
+      const valid = new Set((await store.list("user_tokens"))
+        .filter((token) => !token.revoked && !(token.expires_at && new Date(token.expires_at) < time))
+        .map((token) => token.id));
+      return ids.filter((id) => !valid.has(id));
+    },
+
+    async purgeTokens() {
+      const time = new Date();
+      const expired = (await store.list("user_tokens"))
+        .filter((token) => token.revoked || (token.expires_at && new Date(token.expires_at) < time));
+      await store.remove("user_tokens", expired.map((token) => String(token.id)));
+      return expired.length;
+    },
+
+    // Settings (keyed by user)
+
+    async createSettings(userId) {
+      await put("window_settings", String(userId), {
+        id: userId,
+        user_id: userId,
+        ...SETTINGS_DEFAULTS,
+        created_at: now(),
+        updated_at: now(),
+      });
+    },
+
+    getSettings(userId) {
+      return store.get("window_settings", String(userId));
+    },
+
+    async updateSettings(userId, values) {
+      const settings = await store.get("window_settings", String(userId));
+      if (!settings) return null;
+      Object.keys(SETTINGS_DEFAULTS).forEach((field) => {
+        if (values[field] != null) settings[field] = values[field];
+      });
+      settings.updated_at = now();
+      await put("window_settings", String(userId), settings);
+      return settings;
+    },
+
+    // Devices
+
+    listDevices() {
+      return store.list("devices");
+    },
+
+    async saveDevice({ id, name, ownerId }) {
+      const existing = await store.get("devices", id);
+      const device = { ...existing, id, name, owner_id: ownerId ?? null, created_at: (existing && existing.created_at) || now() };
+      await put("devices", id, device);
+      return { id, name, owner_id: device.owner_id };
+    },
+
+    async touchDevice(id) {
+      const device = await store.get("devices", id);
+      if (device) {
+        await put("devices", id, { ...device, last_seen_at: now() });
+      }
+    },
+
+    async setDeviceKeyHash(id, keyHash) {
+      const device = await store.get("devices", id);
+      if (device) {
+        await put("devices", id, { ...device, api_key_hash: keyHash });
+      }
+    },
+
+    async getDeviceKeyHash(id) {
+      const device = await store.get("devices", id);
+      return (device && device.api_key_hash) || null;
+    },
+
+    async setDeviceHousehold(id, householdId) {
+      const device = await store.get("devices", id);
+      if (!device) return null;
+      await put("devices", id, { ...device, household_id: householdId ?? null });
+      return { id, name: device.name, owner_id: device.owner_id, household_id: householdId ?? null };
+    },
+
+    async setDeviceCalibration(id, profile) {
+      const device = await store.get("devices", id);
+      if (device) {
+        await put("devices", id, { ...device, calibration: profile || null });
+      }
+    },
+
+    // Households (members keyed <householdId>_<userId>)
+
+    async listHouseholds() {
+      return (await store.list("households")).sort((a, b) => a.id - b.id);
+    },
+
+    async createHousehold({ name, ownerId }) {
+      const id = await store.nextId("households");
+      const household = { id, name, owner_id: ownerId, created_at: now() };
+      await put("households", String(id), household);
+      await put("household_members", `${id}_${ownerId}`, {
+        household_id: id,
+        user_id: ownerId,
+        role: "owner",
+        joined_at: now(),
+      });
+      return household;
+    },
+
+    // Members and invitations go with it; its devices are left to their owners
+    deleteHousehold(id) {
+      return removeHousehold(id);
+    },
+
+    async listHouseholdMembers(householdId) {
+      const users = new Map((await store.list("users")).map((user) => [String(user.id), user]));
+      return (await store.list("household_members"))
+        .filter((member) => householdId == null || sameId(member.household_id, householdId))
+        .filter((member) => users.has(String(member.user_id)))
+        .sort((a, b) => a.household_id - b.household_id || a.joined_at.localeCompare(b.joined_at))
+        .map((member) => {
+          const user = users.get(String(member.user_id));
+          return { ...member, username: user.username, email: user.email };
+        });
+    },
+
+    async saveHouseholdMember(householdId, userId, role) {
+      const key = `${householdId}_${userId}`;
+      const existing = await store.get("household_members", key);
+      const member = {
+        household_id: Number(householdId),
+        user_id: Number(userId),
+        role,
+        joined_at: (existing && existing.joined_at) || now(),
+      };
+      await put("household_members", key, member);
+      return member;
+    },
+
+    async removeHouseholdMember(householdId, userId) {
+      const key = `${householdId}_${userId}`;
+      const member = await store.get("household_members", key);
+      if (!member) return null;
+      await store.remove("household_members", [key]);
+      return member;
+    },
+
+    async createInvitation({ householdId, email, code, role, invitedBy, expiresAt }) {
+      const id = await store.nextId("household_invitations");
+      const invitation = {
+        id,
+        household_id: householdId,
+        email: email ?? null,
+        code,
+        role,
+        invited_by: invitedBy,
+        status: "pending",
+        expires_at: new Date(expiresAt).toISOString(),
+        created_at: now(),
+        responded_at: null,
+      };
+      await put("household_invitations", String(id), invitation);
+      return invitation;
+    },
+
+    findInvitationByCode(code) {
+      return find("household_invitations", (invitation) => invitation.code === code);
+    },
+
+    async listInvitations({ householdId, email }) {
+      const current = now();
+      return (await store.list("household_invitations"))
+        .filter((invitation) => invitation.status === "pending" && invitation.expires_at > current)
+        .filter((invitation) => householdId == null || sameId(invitation.household_id, householdId))
+        .filter((invitation) => email == null || (invitation.email || "").toLowerCase() === email.toLowerCase())
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    },
+
+    async respondToInvitation(id, status) {
+      const invitation = await store.get("household_invitations", String(id));
+      if (!invitation || invitation.status !== "pending") return null;
+      Object.assign(invitation, { status, responded_at: now() });
+      await put("household_invitations", String(id), invitation);
+      return invitation;
+    },
+
+    // Schedules (userId null = every user's schedules)
+
+    async listSchedules(userId) {
+      const schedules = await store.list("schedules");
+      return schedules
+        .filter((schedule) => userId == null || sameId(schedule.user_id, userId))
+        .sort((a, b) => a.device_id.localeCompare(b.device_id) || a.time_of_day.localeCompare(b.time_of_day));
+    },
+
+    async listEnabledSchedules() {
+      return (await store.list("schedules")).filter((schedule) => schedule.enabled);
+    },
+
+    async createSchedule(values) {
+      const id = await store.nextId("schedules");
+      const schedule = {
+        id,
+        user_id: values.userId ?? null,
+        device_id: values.deviceId,
+        command: values.command,
+        time_of_day: values.time,
+        days_of_week: values.days,
+        timezone: values.timezone,
+        enabled: values.enabled,
+        last_run_at: now(),
+        created_at: now(),
+        updated_at: now(),
+      };
+      await put("schedules", String(id), schedule);
+      return clean(schedule);
+    },
+
+    async updateSchedule(id, userId, values) {
+      const schedule = await store.get("schedules", String(id));
+      if (!schedule || (userId != null && !sameId(schedule.user_id, userId))) return null;
+
+      const time = now();
+      Object.assign(schedule, {
+        device_id: values.deviceId,
+        command: values.command,
+        time_of_day: values.time,
+        days_of_week: values.days,
+        timezone: values.timezone,
+        enabled: values.enabled,
+        last_run_at: schedule.last_run_at > time ? schedule.last_run_at : time,
+        updated_at: time,
+      });
+      await put("schedules", String(schedule.id), schedule);
+      return schedule;
+    },
+
+    async deleteSchedule(id, userId) {
+      const schedule = await store.get("schedules", String(id));
+      if (!schedule || (userId != null && !sameId(schedule.user_id, userId))) return null;
+      await store.remove("schedules", [String(schedule.id)]);
+      return { id: schedule.id };
+    },
+
+    async setScheduleLastRun(id, date) {
+      const schedule = await store.get("schedules", String(id));
+      if (schedule) {
+        await put("schedules", String(id), { ...schedule, last_run_at: date });
+      }
+    },
+
+    // Alert rules (userId null = every user's rules)
+
+    async listAlertRules(userId) {
+      const rules = await store.list("alert_rules");
+      return rules
+        .filter((rule) => userId == null || sameId(rule.user_id, userId))
+        .map((rule) => ({ ...ALERT_RULE_DEFAULTS, ...rule }))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async createAlertRule(userId, values) {
+      const id = await store.nextId("alert_rules");
+      const rule = {
+        ...ALERT_RULE_DEFAULTS,
+        ...values,
+        id,
+        user_id: userId ?? null,
+        last_fired_at: null,
+        created_at: now(),
+        updated_at: now(),
+      };
+      await put("alert_rules", String(id), rule);
+      return clean(rule);
+    },
+
+    async updateAlertRule(id, userId, values) {
+      const rule = await store.get("alert_rules", String(id));
+      if (!rule || (userId != null && !sameId(rule.user_id, userId))) return null;
+      const updated = { ...ALERT_RULE_DEFAULTS, ...rule, ...values, updated_at: now() };
+      await put("alert_rules", String(rule.id), updated);
+      return clean(updated);
+    },
+
+    async deleteAlertRule(id, userId) {
+      const rule = await store.get("alert_rules", String(id));
+      if (!rule || (userId != null && !sameId(rule.user_id, userId))) return null;
+      await store.remove("alert_rules", [String(rule.id)]);
+      return { id: rule.id };
+    },
+
+    async setAlertRuleFired(id, date) {
+      const rule = await store.get("alert_rules", String(id));
+      if (rule) {
+        await put("alert_rules", String(id), { ...rule, last_fired_at: date });
+      }
+    },
+
+    async saveAlertEvent(event) {
+      const id = await store.nextId("alert_history");
+      await put("alert_history", `${timeKey(event.firedAt)}_${id}`, {
+        id,
+        rule_id: event.ruleId,
+        user_id: event.userId,
+        device_id: event.deviceId,
+        rule_name: event.ruleName,
+        metric: event.metric,
+        value: event.value,
+        message: event.message,
+        notified: event.notified,
+        fired_at: event.firedAt,
+      });
+    },
+
+    async listAlertHistory(userId, limit) {
+      const events = await store.list("alert_history");
+      return events
+        .filter((event) => userId == null || sameId(event.user_id, userId))
+        .reverse()
+        .slice(0, limit);
+    },
+
+    // Notification preferences (keyed by user)
+
+    getNotificationPreferences(userId) {
+      return store.get("notification_preferences", String(userId));
+    },
+
+    async findUserByTelegramChatId(chatId) {
+      const prefs = await find("notification_preferences", (entry) => entry.telegram_chat_id === String(chatId));
+      return prefs ? store.get("users", String(prefs.user_id)) : null;
+    },
+
+    async saveNotificationPreferences(userId, prefs) {
+      const existing = await store.get("notification_preferences", String(userId));
+      const saved = {
+        user_id: userId,
+        channels: prefs.channels,
+        telegram_chat_id: prefs.telegram_chat_id,
+        webhook_url: prefs.webhook_url,
+        email: prefs.email,
+        templates: prefs.templates,
+        created_at: existing ? existing.created_at : now(),
+        updated_at: now(),
+      };
+      await put("notification_preferences", String(userId), saved);
+      return clean(saved);
+    },
+
+    // Telemetry
+
+    async saveSensorReading(deviceId, reading) {
+      const sample = {
+        device_id: deviceId,
+        temperature: reading.temperature,
+        light: reading.light,
+        temperature_raw: reading.temperatureRaw ?? null,
+        light_raw: reading.lightRaw ?? null,
+        window_state: reading.window,
+        mode: reading.mode,
+        recorded_at: reading.timestamp,
+      };
+      await put("sensor_readings", `${timeKey(reading.timestamp)}_${deviceId}`, sample);
+      await put("latest_readings", deviceId, sample);
+    },
+
+    async getLatestReading(deviceId) {
+      const sample = await store.get("latest_readings", deviceId);
+      if (!sample) return null;
+      return {
+        temperature: sample.temperature,
+        light: sample.light,
+        temperatureRaw: sample.temperature_raw ?? null,
+        lightRaw: sample.light_raw ?? null,
+        window: sample.window_state,
+        mode: sample.mode,
+        timestamp: sample.recorded_at,
+      };
+    },
+
+    async querySensorHistory({ deviceId, deviceIds, from, to, bucket, tz, limit, offset }) {
+      const wanted = deviceId ? [deviceId] : deviceIds || null;
+      const inRange = (device, time) => (!wanted || wanted.includes(device)) && time >= from && time < to;
+      const samples = (await store.range("sensor_readings", timeKey(from), timeKey(to)))
+        .map(([, sample]) => sample)
+        .filter((sample) => inRange(sample.device_id, new Date(sample.recorded_at)));
+
+      let rows;
+      if (bucket === "raw") {
+        rows = samples.map((sample) => ({
+          device_id: sample.device_id,
+          timestamp: sample.recorded_at,
+          temperature: sample.temperature,
+          light: sample.light,
+          temperature_raw: sample.temperature_raw ?? null,
+          light_raw: sample.light_raw ?? null,
+          window: sample.window_state,
+          mode: sample.mode,
+        }));
+      } else {
+        // Raw samples plus any rollups no coarser than the requested bucket
+        const groups = new Map();
+        const add = (device, time, rollup) => {
+          const start = truncateDate(time, bucket, tz).toISOString();
+          const key = `${start}|${device}`;
+          const group = groups.get(key);
+          groups.set(key, { device_id: device, timestamp: start, rollup: mergeRollups(group && group.rollup, rollup) });
+        };
+
+        samples.forEach((sample) => {
+          add(sample.device_id, new Date(sample.recorded_at), sampleToRollup({ ...sample, window: sample.window_state }));
+        });
+
+        const rollupCollections = bucket === "day" ? ["rollups_hour", "rollups_day"] : bucket === "hour" ? ["rollups_hour"] : [];
+        for (const collection of rollupCollections) {
+          (await store.range(collection, timeKey(from), timeKey(to)))
+            .map(([, rollup]) => rollup)
+            .filter((rollup) => inRange(rollup.device_id, new Date(rollup.bucket_start)))
+            .forEach(({ device_id, bucket_start, ...rollup }) => add(device_id, new Date(bucket_start), rollup));
+        }
+
+        rows = [...groups.keys()].sort().map((key) => {
+          const { device_id, timestamp, rollup } = groups.get(key);
+          return { device_id, timestamp, ...rollup };
+        });
+      }
+
+      return { rows: rows.slice(offset, offset + limit), hasMore: rows.length > offset + limit };
+    },
+
+    async listWindowChanges(deviceId, from, to) {
+      const samples = (await store.range("sensor_readings", timeKey(from), timeKey(to)))
+        .map(([, sample]) => sample)
+        .filter((sample) => sample.device_id === deviceId && new Date(sample.recorded_at) < to);
+      return samples
+        .filter((sample, i) => i === 0 || i === samples.length - 1 || sample.window_state !== samples[i - 1].window_state)
+        .map((sample) => ({ timestamp: sample.recorded_at, window: sample.window_state }));
+    },
+
+    // Same compaction as the PostgreSQL backend: raw samples -> hourly
+    // rollups -> daily rollups (days aligned to `timezone`), then expiry
+    async applyRetention(retention, timezone) {
+      const stats = { rawRolledUp: 0, hourlyRolledUp: 0, dailyDeleted: 0, commandsDeleted: 0, alertsDeleted: 0, deviceEventsDeleted: 0 };
+
+      if (retention.rawDays > 0) {
+        await eachBatchBefore("sensor_readings", daysAgo(retention.rawDays), async (batch) => {
+          const rollups = {};
+          batch.forEach(([, sample]) => {
+            const hour = new Date(sample.recorded_at);
+            hour.setUTCMinutes(0, 0, 0);
+            const key = `${timeKey(hour)}_${sample.device_id}`;
+            const entry = rollups[key] || { device_id: sample.device_id, bucket_start: hour.toISOString() };
+            entry.rollup = mergeRollups(entry.rollup, sampleToRollup({ ...sample, window: sample.window_state }));
+            rollups[key] = entry;
+          });
+          await writeRollups("rollups_hour", rollups);
+          await store.remove("sensor_readings", batch.map(([key]) => key));
+          stats.rawRolledUp += batch.length;
+        });
+      }
+
+      if (retention.hourlyDays > 0) {
+        await eachBatchBefore("rollups_hour", daysAgo(retention.hourlyDays), async (batch) => {
+          const rollups = {};
+          batch.forEach(([, { device_id, bucket_start, ...rollup }]) => {
+            const day = truncateDate(new Date(bucket_start), "day", timezone);
+            const key = `${timeKey(day)}_${device_id}`;
+            const entry = rollups[key] || { device_id, bucket_start: day.toISOString() };
+            entry.rollup = mergeRollups(entry.rollup, rollup);
+            rollups[key] = entry;
+          });
+          await writeRollups("rollups_day", rollups);
+          await store.remove("rollups_hour", batch.map(([key]) => key));
+          stats.hourlyRolledUp += batch.length;
+        });
+      }
+
+      const expire = async (collection, days, stat) => {
+        if (days <= 0) return;
+        await eachBatchBefore(collection, daysAgo(days), async (batch) => {
+          await store.remove(collection, batch.map(([key]) => key));
+          stats[stat] += batch.length;
+        });
+      };
+      await expire("rollups_day", retention.dailyDays, "dailyDeleted");
+      await expire("command_logs", retention.commandDays, "commandsDeleted");
+      await expire("alert_history", retention.alertDays, "alertsDeleted");
+      await expire("device_events", retention.deviceEventDays, "deviceEventsDeleted");
+
+      return stats;
+    },
+
+    // Commands
+
+    async logCommand(entry) {
+      const timestamp = now();
+      await put("command_logs", `${timeKey(timestamp)}_${entry.commandId}`, { timestamp, ...entry });
+    },
+
+    async listCommands(limit, deviceIds) {
+      if (!deviceIds) {
+        const entries = await store.last("command_logs", limit);
+        return entries.map(([, entry]) => entry).reverse();
+      }
+      if (deviceIds.length === 0) return [];
+      // Read back from the newest entries in growing windows until there
+      // are enough matches, the log runs out or COMMAND_SCAN_MAX is reached
+      const wanted = new Set(deviceIds);
+      for (let window = limit * 10; ; window = Math.min(window * 4, COMMAND_SCAN_MAX)) {
+        const entries = await store.last("command_logs", window);
+        const matches = entries.map(([, entry]) => entry).filter((entry) => wanted.has(entry.deviceId));
+        if (matches.length >= limit || entries.length < window || window >= COMMAND_SCAN_MAX) {
+          return matches.slice(-limit).reverse();
+        }
+      }
+    },
+
+    async queryCommandHistory({ deviceId, from, to, limit, offset }) {
+      const entries = (await store.range("command_logs", timeKey(from), timeKey(to)))
+        .map(([, entry]) => entry)
+        .filter((entry) => new Date(entry.timestamp) < to && (!deviceId || entry.deviceId === deviceId));
+      return { rows: entries.slice(offset, offset + limit), hasMore: entries.length > offset + limit };
+    },
+
+    // Audit log (keyed by time; nothing updates or removes entries)
+
+    async saveAuditEntry(entry) {
+      const id = await store.nextId("audit_log");
+      const createdAt = now();
+      await put("audit_log", `${timeKey(createdAt)}_${id}`, {
+        id,
+        user_id: entry.userId,
+        username: entry.username,
+        action: entry.action,
+        target_type: entry.targetType,
+        target_id: entry.targetId,
+        source: entry.source,
+        ip_address: entry.ipAddress,
+        user_agent: entry.userAgent,
+        details: entry.details,
+        created_at: createdAt,
+      });
+    },
+
+    async listAuditLog({ userId, action, targetId, from, to, limit, offset }) {
+      const entries = (await store.range("audit_log", timeKey(from), timeKey(to)))
+        .map(([, entry]) => entry)
+        .filter((entry) =>
+          new Date(entry.created_at) < to &&
+          (userId == null || sameId(entry.user_id, userId)) &&
+          (action == null || entry.action === action) &&
+          (targetId == null || entry.target_id === targetId)
+        )
+        .reverse();
+      return { rows: entries.slice(offset, offset + limit), hasMore: entries.length > offset + limit };
+    },
+
+    // Device events (keyed by time)
+
+    async saveDeviceEvent({ deviceId, event, reason, at }) {
+      const id = await store.nextId("device_events");
+      await put("device_events", `${timeKey(at)}_${id}`, {
+        id,
+        device_id: deviceId,
+        event,
+        reason,
+        created_at: at,
+      });
+    },
+
+    async listDeviceEvents(deviceId, from, to) {
+      const events = (await store.range("device_events", null, timeKey(to)))
+        .map(([, entry]) => entry)
+        .filter((entry) => entry.device_id === deviceId);
+      const firstInRange = events.findIndex((entry) => new Date(entry.created_at) >= from);
+      const start = firstInRange === -1 ? events.length : firstInRange;
+      return events.slice(Math.max(0, start - 1));
+    },
+
+    // Jobs
+
+    async saveJobRun(name, status) {
+      await put("job_runs", name, {
+        lastStartedAt: status.lastStartedAt,
+        lastFinishedAt: status.lastFinishedAt,
+        lastStatus: status.lastStatus,
+        lastError: status.lastError,
+        lastStats: status.lastStats,
+        job_name: name,
+      });
+    },
+
+    async loadJobRuns() {
+      const runs = await store.list("job_runs");
+      return Object.fromEntries(runs.map(({ job_name, ...status }) => [job_name, status]));
+    },
+  };
+}
+
+module.exports = { createDocumentStorage };
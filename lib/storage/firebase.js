@@ -0,0 +1,82 @@
+// ===============================
+// Firebase Storage
+// ===============================
+
+// STORAGE_BACKEND=firebase: every collection lives under store/<collection>
+// in the Realtime Database, next to the existing logs/ and devices/ mirror.
+
+const { createDocumentStorage } = require("./document");
+
+const ROOT = "store";
+const READ_TIMEOUT_MS = 5000;
+
+function withTimeout(promise) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error("Firebase read timeout")), READ_TIMEOUT_MS)
+    ),
+  ]);
+}
+
+// Children as [key, value] pairs. snapshot.val() would turn integer keys
+// into an array, so walk the children instead.
+function entries(snapshot) {
+  const result = [];
+  snapshot.forEach((child) => {
+    result.push([child.key, child.val()]);
+  });
+  return result;
+}
+
+function createFirebaseStore(db) {
+  const ref = (name, key) => db.ref(key === undefined ? `${ROOT}/${name}` : `${ROOT}/${name}/${key}`);
+
+  return {
+    async ping() {
+      await withTimeout(db.ref(`${ROOT}/_counters`).limitToFirst(1).once("value"));
+    },
+
+    async get(name, key) {
+      const snapshot = await withTimeout(ref(name, key).once("value"));
+      return snapshot.val();
+    },
+
+    async set(name, key, value) {
+      await ref(name, key).set(value);
+    },
+
+    async remove(name, keys) {
+      if (keys.length === 0) return;
+      await ref(name).update(Object.fromEntries(keys.map((key) => [key, null])));
+    },
+
+    async list(name) {
+      const snapshot = await withTimeout(ref(name).orderByKey().once("value"));
+      return entries(snapshot).map(([, value]) => value);
+    },
+
+    async range(name, startKey, endKey, limit) {
+      let query = ref(name).orderByKey();
+      if (startKey != null) query = query.startAt(startKey);
+      if (endKey != null) query = query.endAt(endKey);
+      if (limit) query = query.limitToFirst(limit);
+      return entries(await withTimeout(query.once("value")));
+    },
+
+    async last(name, count) {
+      return entries(await withTimeout(ref(name).orderByKey().limitToLast(count).once("value")));
+    },
+
+    async nextId(name) {
+      const result = await db.ref(`${ROOT}/_counters/${name}`).transaction((current) => (current || 0) + 1);
+      return result.snapshot.val();
+    },
+  };
+}
+
+function createFirebaseStorage(db) {
+  return createDocumentStorage("firebase", createFirebaseStore(db));
+}
+
+module.exports = { createFirebaseStorage };
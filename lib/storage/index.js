@@ -0,0 +1,87 @@
+// ===============================
+// Storage Backends
+// ===============================
+
+// Everything the server persists goes through one storage object, picked
+// with STORAGE_BACKEND:
+//
+//   postgres  (default) PostgreSQL, tables from init.sql
+//   firebase  Firebase Realtime Database, under store/
+//   memory    this process only; nothing survives a restart
+//
+// Every backend implements the same async methods. Rows use the PostgreSQL
+// column names (user.password_hash, schedule.time_of_day, ...).
+//
+//   init(), ping(), getUsage()
+//   Users:     findUserById(id), findUserByUsername(username),
+//              findUserByLogin(username, email, excludeId), createUser({ username, email, passwordHash, role }),
+//              listUsers(), updateUser(id, { username, email, passwordHash }) (a new email is unverified),
+//              setUserRole(id, role), setEmailVerified(id, verified), deleteUser(id)
+//   Tokens:    saveToken({ userId, tokenHash, type, expiresAt, ipAddress, userAgent }) -> id,
+//              (type: access, refresh, email_verify, password_reset, telegram_link)
+//              findTokenById(id), findTokenByHash(hash), touchToken(id),
+//              rotateToken(id, { tokenHash, expiresAt, ipAddress, userAgent }), revokeToken(id, userId),
+//              revokeUserTokens(userId, type) -> ids (type optional), listSessions(userId), findInvalidTokenIds(ids),
+//              purgeTokens() -> count
+//   Settings:  createSettings(userId), getSettings(userId), updateSettings(userId, values)
+//   Devices:   listDevices(), saveDevice({ id, name, ownerId }), touchDevice(id),
+//              setDeviceKeyHash(id, hash), getDeviceKeyHash(id), setDeviceHousehold(id, householdId),
+//              setDeviceCalibration(id, profile) (null = default; listDevices() rows carry `calibration`)
+//   Households: listHouseholds(), createHousehold({ name, ownerId }) (owner joins as "owner"),
+//              deleteHousehold(id), listHouseholdMembers(householdId) (null = all, with username/email),
+//              saveHouseholdMember(householdId, userId, role), removeHouseholdMember(householdId, userId),
+//              createInvitation({ householdId, email, code, role, invitedBy, expiresAt }),
+//              findInvitationByCode(code), listInvitations({ householdId, email }) (pending, unexpired),
+//              respondToInvitation(id, status) (null unless still pending)
+//   Schedules: listSchedules(userId), listEnabledSchedules(), createSchedule(values),
+//              updateSchedule(id, userId, values), deleteSchedule(id, userId),
+//              setScheduleLastRun(id, date)            (userId null = all users)
+//   Alerts:    listAlertRules(userId), createAlertRule(userId, values), updateAlertRule(id, userId, values),
+//              deleteAlertRule(id, userId), setAlertRuleFired(id, date),
+//              saveAlertEvent(event), listAlertHistory(userId, limit)  (values use column names)
+//   Notify:    getNotificationPreferences(userId), saveNotificationPreferences(userId, prefs),
+//              findUserByTelegramChatId(chatId)
+//   Telemetry: saveSensorReading(deviceId, reading) (reading: calibrated temperature/light plus
+//              temperatureRaw/lightRaw), getLatestReading(deviceId),
+//              querySensorHistory({ deviceId, deviceIds, from, to, bucket, tz, limit, offset }) -> { rows, hasMore }
+//              (one device, the listed devices, or all when both are left out),
+//              listWindowChanges(deviceId, from, to) -> [{ timestamp, window }] (first sample, each
+//              change of window state, last sample; oldest first),
+//              applyRetention(retention, timezone) -> stats
+//   Commands:  logCommand(result), listCommands(limit, deviceIds)  (newest first; all devices
+//              when deviceIds is left out; document stores only look through the newest
+//              10000 entries for the listed devices),
+//              queryCommandHistory({ deviceId, from, to, limit, offset }) -> { rows, hasMore }  (oldest first)
+//   Audit:     saveAuditEntry({ userId, username, action, targetType, targetId, source, ipAddress,
+//              userAgent, details }), listAuditLog({ userId, action, targetId, from, to, limit, offset })
+//              -> { rows, hasMore }  (newest first; entries are never changed or removed)
+//   Liveness:  saveDeviceEvent({ deviceId, event, reason, at }),
+//              listDeviceEvents(deviceId, from, to)  (oldest first, plus the last one before `from`)
+//   Jobs:      saveJobRun(name, status), loadJobRuns() -> { name: status }
+//
+// Lookups resolve to null when nothing matches; failures reject.
+
+const { createPostgresStorage } = require("./postgres");
+const { createFirebaseStorage } = require("./firebase");
+const { createMemoryStorage } = require("./memory");
+
+const STORAGE_BACKENDS = ["postgres", "firebase", "memory"];
+
+// `db` is the Firebase database, or null when Firebase is not configured
+function createStorage(backend, db) {
+  switch (backend) {
+    case "postgres":
+      return createPostgresStorage();
+    case "firebase":
+      if (!db) {
+        throw new Error("STORAGE_BACKEND=firebase needs Firebase credentials");
+      }
+      return createFirebaseStorage(db);
+    case "memory":
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${STORAGE_BACKENDS.join(", ")})`);
+  }
+}
+
+module.exports = { createStorage, STORAGE_BACKENDS };
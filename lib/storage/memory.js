@@ -0,0 +1,71 @@
+// ===============================
+// In-Memory Storage
+// ===============================
+
+// STORAGE_BACKEND=memory: everything lives in this process and is lost on
+// restart. Meant for local development and tests without PostgreSQL or
+// Firebase.
+
+const { createDocumentStorage } = require("./document");
+
+function createMemoryStore() {
+  // collection -> Map(key -> value)
+  const collections = new Map();
+  const counters = new Map();
+
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  // Callers get copies, like values read back from a real store
+  const copy = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+
+  const sortedEntries = (name) =>
+    [...collection(name).entries()]
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, value]) => [key, copy(value)]);
+
+  return {
+    async ping() {},
+
+    async get(name, key) {
+      return copy(collection(name).get(key));
+    },
+
+    async set(name, key, value) {
+      collection(name).set(key, copy(value));
+    },
+
+    async remove(name, keys) {
+      keys.forEach((key) => collection(name).delete(key));
+    },
+
+    async list(name) {
+      return sortedEntries(name).map(([, value]) => value);
+    },
+
+    async range(name, startKey, endKey, limit) {
+      const entries = sortedEntries(name).filter(([key]) =>
+        (startKey == null || key >= startKey) && (endKey == null || key <= endKey)
+      );
+      return limit ? entries.slice(0, limit) : entries;
+    },
+
+    async last(name, count) {
+      return sortedEntries(name).slice(-count);
+    },
+
+    async nextId(name) {
+      const id = (counters.get(name) || 0) + 1;
+      counters.set(name, id);
+      return id;
+    },
+  };
+}
+
+function createMemoryStorage() {
+  return createDocumentStorage("memory", createMemoryStore());
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,789 @@
+// ===============================
+// PostgreSQL Storage
+// ===============================
+
+// Default backend. Tables are created by init.sql.
+
+const { Pool } = require("pg");
+const { DEFAULT_ROLE } = require("../roles");
+
+// Upsert used for both rollup levels; averages are weighted by sample count
+const ROLLUP_UPSERT_SQL = `
+  ON CONFLICT (device_id, bucket, bucket_start) DO UPDATE SET
+    temperature_avg = (sensor_rollups.temperature_avg * sensor_rollups.samples + EXCLUDED.temperature_avg * EXCLUDED.samples) / (sensor_rollups.samples + EXCLUDED.samples),
+    light_avg = (sensor_rollups.light_avg * sensor_rollups.samples + EXCLUDED.light_avg * EXCLUDED.samples) / (sensor_rollups.samples + EXCLUDED.samples),
+    open_ratio = (sensor_rollups.open_ratio * sensor_rollups.samples + EXCLUDED.open_ratio * EXCLUDED.samples) / (sensor_rollups.samples + EXCLUDED.samples),
+    temperature_min = LEAST(sensor_rollups.temperature_min, EXCLUDED.temperature_min),
+    temperature_max = GREATEST(sensor_rollups.temperature_max, EXCLUDED.temperature_max),
+    light_min = LEAST(sensor_rollups.light_min, EXCLUDED.light_min),
+    light_max = GREATEST(sensor_rollups.light_max, EXCLUDED.light_max),
+    samples = sensor_rollups.samples + EXCLUDED.samples`;
+
+// window_settings columns a user can change
+const SETTINGS_COLUMNS = [
+  "auto_open_temp", "auto_close_temp", "auto_mode", "light_threshold", "day_lux", "night_lux",
+  "weather_enabled", "weather_close_on_rain", "weather_max_wind", "weather_close_when_warmer",
+];
+
+const COMMAND_LOG_COLUMNS = `created_at AS timestamp, command_id AS "commandId", device_id AS "deviceId", command, source,
+  status, attempts, latency_ms AS "latencyMs", error, window_state AS window, user_id AS "userId"`;
+
+// Columns set from a parsed alert rule (lib/alerts.js)
+const ALERT_RULE_COLUMNS = [
+  "device_id", "name", "metric", "operator", "threshold", "window_state", "hysteresis",
+  "duration_minutes", "active_from", "active_to", "cooldown_minutes", "quiet_start",
+  "quiet_end", "timezone", "enabled",
+];
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+// `userId` null means no owner filter (admins)
+function ownerClause(userId, param) {
+  return userId == null ? "TRUE" : `user_id = $${param}`;
+}
+
+function ownerParams(userId) {
+  return userId == null ? [] : [userId];
+}
+
+function createPostgresStorage() {
+  const pool = new Pool({
+    host: process.env.DB_HOST || "localhost",
+    port: process.env.DB_PORT || 5432,
+    database: process.env.DB_NAME || "smart_window_db",
+    user: process.env.DB_USER || "admin",
+    password: process.env.DB_PASSWORD || "admin123",
+  });
+
+  pool.on("error", (err) => {
+    console.error("Unexpected error on idle client", err);
+  });
+
+  const one = async (sql, params) => (await pool.query(sql, params)).rows[0] || null;
+
+  return {
+    name: "postgres",
+
+    async init() {
+      await pool.query("SELECT NOW()");
+    },
+
+    async ping() {
+      await pool.query("SELECT 1");
+    },
+
+    async getUsage() {
+      const tables = await pool.query(
+        "SELECT relname AS table, n_live_tup AS rows, pg_total_relation_size(relid) AS bytes FROM pg_stat_user_tables ORDER BY bytes DESC"
+      );
+      const range = await pool.query(
+        "SELECT MIN(recorded_at) AS oldest, MAX(recorded_at) AS newest FROM sensor_readings"
+      );
+      return {
+        tables: tables.rows.map((row) => ({ table: row.table, rows: Number(row.rows), bytes: Number(row.bytes) })),
+        totalBytes: tables.rows.reduce((sum, row) => sum + Number(row.bytes), 0),
+        oldestRawSample: range.rows[0].oldest,
+        newestRawSample: range.rows[0].newest,
+      };
+    },
+
+    // Users
+
+    findUserById(id) {
+      return one("SELECT * FROM users WHERE id = $1", [id]);
+    },
+
+    findUserByUsername(username) {
+      return one("SELECT * FROM users WHERE username = $1", [username]);
+    },
+
+    // A user with this username or email, other than `excludeId`
+    findUserByLogin(username, email, excludeId) {
+      return one(
+        "SELECT * FROM users WHERE (username = $1 OR email = $2) AND ($3::int IS NULL OR id != $3)",
+        [username, email, excludeId ?? null]
+      );
+    },
+
+    createUser({ username, email, passwordHash, role }) {
+      return one(
+        "INSERT INTO users (username, email, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING id, username, email, role",
+        [username, email, passwordHash, role || DEFAULT_ROLE]
+      );
+    },
+
+    async listUsers() {
+      const result = await pool.query(
+        "SELECT id, username, email, role, email_verified_at, created_at, updated_at FROM users ORDER BY id"
+      );
+      return result.rows;
+    },
+
+    // Leaves the password unchanged when passwordHash is not given; a new
+    // email has to be verified again
+    updateUser(id, { username, email, passwordHash }) {
+      return one(
+        `UPDATE users SET username = $1, email = $2, password_hash = COALESCE($3, password_hash),
+           email_verified_at = CASE WHEN email = $2 THEN email_verified_at END, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 RETURNING id, username, email, role`,
+        [username, email, passwordHash || null, id]
+      );
+    },
+
+    setEmailVerified(id, verified) {
+      return one(
+        "UPDATE users SET email_verified_at = $1 WHERE id = $2 RETURNING id, username, email, role, email_verified_at",
+        [verified ? new Date() : null, id]
+      );
+    },
+
+    setUserRole(id, role) {
+      return one(
+        "UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, username, email, role",
+        [role, id]
+      );
+    },
+
+    deleteUser(id) {
+      return one("DELETE FROM users WHERE id = $1 RETURNING id, username", [id]);
+    },
+
+    // Tokens
+
+    async saveToken({ userId, tokenHash, type, expiresAt, ipAddress, userAgent }) {
+      const row = await one(
+        `INSERT INTO user_tokens (user_id, jti, token_hash, type, expires_at, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+        [userId ?? null, null, tokenHash, type, expiresAt, ipAddress ?? null, userAgent ?? null]
+      );
+      return row.id;
+    },
+
+    findTokenById(id) {
+      return one("SELECT * FROM user_tokens WHERE id = $1", [id]);
+    },
+
+    findTokenByHash(tokenHash) {
+      return one("SELECT * FROM user_tokens WHERE token_hash = $1 LIMIT 1", [tokenHash]);
+    },
+
+    async touchToken(id) {
+      await pool.query("UPDATE user_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1", [id]);
+    },
+
+    // Give a refresh token a new secret and expiry; null if it is revoked
+    rotateToken(id, { tokenHash, expiresAt, ipAddress, userAgent }) {
+      return one(
+        `UPDATE user_tokens SET token_hash = $1, expires_at = $2, ip_address = $3, user_agent = $4, last_used_at = CURRENT_TIMESTAMP
+         WHERE id = $5 AND revoked = FALSE RETURNING *`,
+        [tokenHash, expiresAt, ipAddress ?? null, userAgent ?? null, id]
+      );
+    },
+
+    // userId null = any user's token
+    revokeToken(id, userId) {
+      return one(
+        `UPDATE user_tokens SET revoked = TRUE WHERE id = $1 AND revoked = FALSE AND ${ownerClause(userId, 2)} RETURNING id`,
+        [id, ...ownerParams(userId)]
+      );
+    },
+
+    // Every token of the user, or only those of `type`. Resolves to the IDs
+    // that were revoked.
+    async revokeUserTokens(userId, type) {
+      const result = await pool.query(
+        "UPDATE user_tokens SET revoked = TRUE WHERE user_id = $1 AND revoked = FALSE AND ($2::text IS NULL OR type = $2) RETURNING id",
+        [userId, type || null]
+      );
+      return result.rows.map((row) => row.id);
+    },
+
+    // Live refresh tokens (one per signed-in browser), most recently used first
+    async listSessions(userId) {
+      const result = await pool.query(
+        `SELECT id, created_at, last_used_at, expires_at, ip_address, user_agent FROM user_tokens
+         WHERE user_id = $1 AND type = 'refresh' AND revoked = FALSE AND expires_at > CURRENT_TIMESTAMP
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [userId]
+      );
+      return result.rows;
+    },
+
+    // IDs from `ids` whose token has been revoked, has expired or is gone
+    async findInvalidTokenIds(ids) {
+      const result = await pool.query(
+        "SELECT id FROM user_tokens WHERE id = ANY($1) AND revoked = FALSE AND (expires_at IS NULL OR expires_at >= CURRENT_TIMESTAMP)",
+        [ids]
+      );
+      const valid = new Set(result.rows.map((row) => row.id));
+      return ids.filter((id) => !valid.has(id));
+    },
+
+    // Delete revoked and expired tokens; resolves to the number deleted
+    async purgeTokens() {
+      const result = await pool.query("DELETE FROM user_tokens WHERE revoked = TRUE OR expires_at < CURRENT_TIMESTAMP");
+      return result.rowCount;
+    },
+
+    // Settings
+
+    async createSettings(userId) {
+      await pool.query("INSERT INTO window_settings (user_id) VALUES ($1)", [userId]);
+    },
+
+    getSettings(userId) {
+      return one("SELECT * FROM window_settings WHERE user_id = $1", [userId]);
+    },
+
+    // Fields that are null or missing keep their current value
+    updateSettings(userId, values) {
+      const sets = SETTINGS_COLUMNS.map((column, i) => `${column} = COALESCE($${i + 1}, ${column})`);
+      return one(
+        `UPDATE window_settings SET ${sets.join(", ")}, updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $${SETTINGS_COLUMNS.length + 1} RETURNING *`,
+        [...SETTINGS_COLUMNS.map((column) => values[column] ?? null), userId]
+      );
+    },
+
+    // Devices
+
+    async listDevices() {
+      const result = await pool.query("SELECT id, name, owner_id, household_id, calibration, created_at, last_seen_at FROM devices");
+      return result.rows;
+    },
+
+    saveDevice({ id, name, ownerId }) {
+      return one(
+        "INSERT INTO devices (id, name, owner_id) VALUES ($1, $2, $3) ON CONFLICT (id) DO UPDATE SET name = $2, owner_id = $3 RETURNING id, name, owner_id",
+        [id, name, ownerId]
+      );
+    },
+
+    async touchDevice(id) {
+      await pool.query("UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1", [id]);
+    },
+
+    async setDeviceKeyHash(id, keyHash) {
+      await pool.query("UPDATE devices SET api_key_hash = $1 WHERE id = $2", [keyHash, id]);
+    },
+
+    async getDeviceKeyHash(id) {
+      const row = await one("SELECT api_key_hash FROM devices WHERE id = $1", [id]);
+      return row ? row.api_key_hash : null;
+    },
+
+    setDeviceHousehold(id, householdId) {
+      return one(
+        "UPDATE devices SET household_id = $1 WHERE id = $2 RETURNING id, name, owner_id, household_id",
+        [householdId ?? null, id]
+      );
+    },
+
+    // profile null = back to the default
+    async setDeviceCalibration(id, profile) {
+      await pool.query("UPDATE devices SET calibration = $1 WHERE id = $2", [profile ? JSON.stringify(profile) : null, id]);
+    },
+
+    // Households
+
+    async listHouseholds() {
+      const result = await pool.query("SELECT * FROM households ORDER BY id");
+      return result.rows;
+    },
+
+    async createHousehold({ name, ownerId }) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const result = await client.query(
+          "INSERT INTO households (name, owner_id) VALUES ($1, $2) RETURNING *",
+          [name, ownerId]
+        );
+        const household = result.rows[0];
+        await client.query(
+          "INSERT INTO household_members (household_id, user_id, role) VALUES ($1, $2, 'owner')",
+          [household.id, ownerId]
+        );
+        await client.query("COMMIT");
+        return household;
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Members and invitations go with it; its devices are left to their owners
+    deleteHousehold(id) {
+      return one("DELETE FROM households WHERE id = $1 RETURNING id, name", [id]);
+    },
+
+    async listHouseholdMembers(householdId) {
+      const result = await pool.query(
+        `SELECT household_members.*, users.username, users.email FROM household_members
+         JOIN users ON users.id = household_members.user_id
+         WHERE ($1::int IS NULL OR household_id = $1) ORDER BY household_id, joined_at`,
+        [householdId ?? null]
+      );
+      return result.rows;
+    },
+
+    saveHouseholdMember(householdId, userId, role) {
+      return one(
+        `INSERT INTO household_members (household_id, user_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (household_id, user_id) DO UPDATE SET role = $3 RETURNING *`,
+        [householdId, userId, role]
+      );
+    },
+
+    removeHouseholdMember(householdId, userId) {
+      return one(
+        "DELETE FROM household_members WHERE household_id = $1 AND user_id = $2 RETURNING *",
+        [householdId, userId]
+      );
+    },
+
+    createInvitation({ householdId, email, code, role, invitedBy, expiresAt }) {
+      return one(
+        `INSERT INTO household_invitations (household_id, email, code, role, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [householdId, email ?? null, code, role, invitedBy, expiresAt]
+      );
+    },
+
+    findInvitationByCode(code) {
+      return one("SELECT * FROM household_invitations WHERE code = $1", [code]);
+    },
+
+    async listInvitations({ householdId, email }) {
+      const result = await pool.query(
+        `SELECT * FROM household_invitations
+         WHERE status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+           AND ($1::int IS NULL OR household_id = $1) AND ($2::text IS NULL OR LOWER(email) = LOWER($2))
+         ORDER BY created_at DESC`,
+        [householdId ?? null, email ?? null]
+      );
+      return result.rows;
+    },
+
+    respondToInvitation(id, status) {
+      return one(
+        `UPDATE household_invitations SET status = $1, responded_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = 'pending' RETURNING *`,
+        [status, id]
+      );
+    },
+
+    // Schedules (userId null = every user's schedules)
+
+    async listSchedules(userId) {
+      const result = await pool.query(
+        `SELECT * FROM schedules WHERE ${ownerClause(userId, 1)} ORDER BY device_id, time_of_day`,
+        ownerParams(userId)
+      );
+      return result.rows;
+    },
+
+    async listEnabledSchedules() {
+      const result = await pool.query("SELECT * FROM schedules WHERE enabled = TRUE");
+      return result.rows;
+    },
+
+    // last_run_at starts at "now" so creating a schedule never triggers a catch-up run
+    createSchedule(values) {
+      return one(
+        "INSERT INTO schedules (user_id, device_id, command, time_of_day, days_of_week, timezone, enabled, last_run_at) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP) RETURNING *",
+        [values.userId ?? null, values.deviceId, values.command, values.time, values.days, values.timezone, values.enabled]
+      );
+    },
+
+    updateSchedule(id, userId, values) {
+      return one(
+        `UPDATE schedules SET device_id = $1, command = $2, time_of_day = $3, days_of_week = $4, timezone = $5, enabled = $6, last_run_at = GREATEST(last_run_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP WHERE id = $7 AND ${ownerClause(userId, 8)} RETURNING *`,
+        [values.deviceId, values.command, values.time, values.days, values.timezone, values.enabled, id, ...ownerParams(userId)]
+      );
+    },
+
+    deleteSchedule(id, userId) {
+      return one(
+        `DELETE FROM schedules WHERE id = $1 AND ${ownerClause(userId, 2)} RETURNING id`,
+        [id, ...ownerParams(userId)]
+      );
+    },
+
+    async setScheduleLastRun(id, date) {
+      await pool.query("UPDATE schedules SET last_run_at = $1 WHERE id = $2", [date, id]);
+    },
+
+    // Alert rules (userId null = every user's rules)
+
+    async listAlertRules(userId) {
+      const result = await pool.query(
+        `SELECT * FROM alert_rules WHERE ${ownerClause(userId, 1)} ORDER BY id`,
+        ownerParams(userId)
+      );
+      return result.rows;
+    },
+
+    createAlertRule(userId, values) {
+      const params = ALERT_RULE_COLUMNS.map((column) => values[column]);
+      return one(
+        `INSERT INTO alert_rules (user_id, ${ALERT_RULE_COLUMNS.join(", ")})
+         VALUES ($1, ${ALERT_RULE_COLUMNS.map((_, i) => "$" + (i + 2)).join(", ")}) RETURNING *`,
+        [userId ?? null, ...params]
+      );
+    },
+
+    updateAlertRule(id, userId, values) {
+      const params = ALERT_RULE_COLUMNS.map((column) => values[column]);
+      const sets = ALERT_RULE_COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(", ");
+      const idParam = params.length + 1;
+      return one(
+        `UPDATE alert_rules SET ${sets}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${idParam} AND ${ownerClause(userId, idParam + 1)} RETURNING *`,
+        [...params, id, ...ownerParams(userId)]
+      );
+    },
+
+    deleteAlertRule(id, userId) {
+      return one(
+        `DELETE FROM alert_rules WHERE id = $1 AND ${ownerClause(userId, 2)} RETURNING id`,
+        [id, ...ownerParams(userId)]
+      );
+    },
+
+    async setAlertRuleFired(id, date) {
+      await pool.query("UPDATE alert_rules SET last_fired_at = $1 WHERE id = $2", [date, id]);
+    },
+
+    async saveAlertEvent(event) {
+      await pool.query(
+        `INSERT INTO alert_history (rule_id, user_id, device_id, rule_name, metric, value, message, notified, fired_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [event.ruleId, event.userId, event.deviceId, event.ruleName, event.metric, event.value, event.message, event.notified, event.firedAt]
+      );
+    },
+
+    // Newest first
+    async listAlertHistory(userId, limit) {
+      const result = await pool.query(
+        `SELECT * FROM alert_history WHERE ${ownerClause(userId, 2)} ORDER BY fired_at DESC, id DESC LIMIT $1`,
+        [limit, ...ownerParams(userId)]
+      );
+      return result.rows;
+    },
+
+    // Notification preferences (null = user never saved any)
+
+    getNotificationPreferences(userId) {
+      return one("SELECT * FROM notification_preferences WHERE user_id = $1", [userId]);
+    },
+
+    // The user whose preferences hold this Telegram chat ID
+    findUserByTelegramChatId(chatId) {
+      return one(
+        `SELECT users.* FROM users JOIN notification_preferences ON notification_preferences.user_id = users.id
+         WHERE notification_preferences.telegram_chat_id = $1`,
+        [String(chatId)]
+      );
+    },
+
+    saveNotificationPreferences(userId, prefs) {
+      return one(
+        `INSERT INTO notification_preferences (user_id, channels, telegram_chat_id, webhook_url, email, templates)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (user_id) DO UPDATE SET channels = EXCLUDED.channels, telegram_chat_id = EXCLUDED.telegram_chat_id,
+           webhook_url = EXCLUDED.webhook_url, email = EXCLUDED.email, templates = EXCLUDED.templates, updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [userId, prefs.channels, prefs.telegram_chat_id, prefs.webhook_url, prefs.email, JSON.stringify(prefs.templates)]
+      );
+    },
+
+    // Telemetry
+
+    async saveSensorReading(deviceId, reading) {
+      await pool.query(
+        `INSERT INTO sensor_readings (device_id, temperature, light, temperature_raw, light_raw, window_state, mode, recorded_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          deviceId, reading.temperature, reading.light, reading.temperatureRaw ?? null, reading.lightRaw ?? null,
+          reading.window, reading.mode, reading.timestamp,
+        ]
+      );
+    },
+
+    getLatestReading(deviceId) {
+      return one(
+        `SELECT temperature, light, temperature_raw AS "temperatureRaw", light_raw AS "lightRaw",
+           window_state AS window, mode, recorded_at AS timestamp
+         FROM sensor_readings WHERE device_id = $1 ORDER BY recorded_at DESC LIMIT 1`,
+        [deviceId]
+      );
+    },
+
+    // Raw samples, or min/avg/max per device and bucket aligned to `tz`.
+    // One device, the devices in `deviceIds`, or all of them.
+    // Resolves to { rows, hasMore }.
+    async querySensorHistory({ deviceId, deviceIds, from, to, bucket, tz, limit, offset }) {
+      const params = [from, to, deviceId ? [deviceId] : deviceIds || null];
+      const where = "recorded_at >= $1 AND recorded_at < $2 AND ($3::varchar[] IS NULL OR device_id = ANY($3))";
+      let sql;
+
+      if (bucket === "raw") {
+        sql = `SELECT device_id, recorded_at AS timestamp, temperature, light, temperature_raw, light_raw, window_state AS window, mode
+          FROM sensor_readings WHERE ${where}
+          ORDER BY recorded_at, id LIMIT $4 OFFSET $5`;
+      } else {
+        // Raw samples plus any rollups no coarser than the requested bucket,
+        // so ranges older than the raw retention still have data
+        const rollupBuckets = bucket === "day" ? ["hour", "day"] : bucket === "hour" ? ["hour"] : [];
+        params.push(bucket, tz, rollupBuckets);
+        sql = `WITH samples AS (
+            SELECT device_id, recorded_at AS t, 1 AS n,
+              temperature AS t_min, temperature AS t_sum, temperature AS t_max,
+              light AS l_min, light AS l_sum, light AS l_max,
+              CASE WHEN window_state = 'OPEN' THEN 1 ELSE 0 END AS open_n
+            FROM sensor_readings WHERE ${where}
+            UNION ALL
+            SELECT device_id, bucket_start, samples,
+              temperature_min, temperature_avg * samples, temperature_max,
+              light_min, light_avg * samples, light_max,
+              open_ratio * samples
+            FROM sensor_rollups
+            WHERE bucket = ANY($8) AND bucket_start >= $1 AND bucket_start < $2 AND ($3::varchar[] IS NULL OR device_id = ANY($3))
+          )
+          SELECT device_id,
+            date_trunc($6, t AT TIME ZONE $7) AT TIME ZONE $7 AS timestamp,
+            SUM(n)::int AS samples,
+            MIN(t_min) AS temperature_min, SUM(t_sum) / SUM(n) AS temperature_avg, MAX(t_max) AS temperature_max,
+            MIN(l_min) AS light_min, SUM(l_sum) / SUM(n) AS light_avg, MAX(l_max) AS light_max,
+            SUM(open_n)::float / SUM(n) AS open_ratio
+          FROM samples
+          GROUP BY device_id, 2 ORDER BY 2, device_id LIMIT $4 OFFSET $5`;
+      }
+
+      // Fetch one extra row to know whether there is another page
+      params.splice(3, 0, limit + 1, offset);
+      const result = await pool.query(sql, params);
+      return { rows: result.rows.slice(0, limit), hasMore: result.rows.length > limit };
+    },
+
+    // The first raw sample in the range, every sample whose window state
+    // differs from the one before, and the last sample; oldest first
+    async listWindowChanges(deviceId, from, to) {
+      const result = await pool.query(
+        `SELECT recorded_at AS timestamp, window_state AS window FROM (
+           SELECT id, recorded_at, window_state,
+             LAG(window_state) OVER w AS previous_state,
+             ROW_NUMBER() OVER w AS n,
+             LEAD(id) OVER w AS next_id
+           FROM sensor_readings WHERE device_id = $1 AND recorded_at >= $2 AND recorded_at < $3
+           WINDOW w AS (ORDER BY recorded_at, id)
+         ) samples
+         WHERE n = 1 OR next_id IS NULL OR previous_state IS DISTINCT FROM window_state
+         ORDER BY recorded_at, id`,
+        [deviceId, from, to]
+      );
+      return result.rows;
+    },
+
+    // Roll raw samples into hourly rows, hourly rows into daily rows (days
+    // aligned to `timezone`), and drop what is past its limit. Runs in one
+    // transaction so a sample is never counted twice or lost.
+    async applyRetention(retention, timezone) {
+      const stats = { rawRolledUp: 0, hourlyRolledUp: 0, dailyDeleted: 0, commandsDeleted: 0, alertsDeleted: 0, deviceEventsDeleted: 0 };
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+
+        if (retention.rawDays > 0) {
+          const cutoff = daysAgo(retention.rawDays);
+          await client.query(
+            `INSERT INTO sensor_rollups (device_id, bucket, bucket_start, samples, temperature_min, temperature_avg, temperature_max, light_min, light_avg, light_max, open_ratio)
+             SELECT device_id, 'hour', date_trunc('hour', recorded_at), COUNT(*),
+               MIN(temperature), AVG(temperature), MAX(temperature),
+               MIN(light), AVG(light), MAX(light),
+               AVG(CASE WHEN window_state = 'OPEN' THEN 1 ELSE 0 END)
+             FROM sensor_readings WHERE recorded_at < $1
+             GROUP BY device_id, date_trunc('hour', recorded_at)
+             ${ROLLUP_UPSERT_SQL}`,
+            [cutoff]
+          );
+          const deleted = await client.query("DELETE FROM sensor_readings WHERE recorded_at < $1", [cutoff]);
+          stats.rawRolledUp = deleted.rowCount;
+        }
+
+        if (retention.hourlyDays > 0) {
+          const cutoff = daysAgo(retention.hourlyDays);
+          await client.query(
+            `INSERT INTO sensor_rollups (device_id, bucket, bucket_start, samples, temperature_min, temperature_avg, temperature_max, light_min, light_avg, light_max, open_ratio)
+             SELECT device_id, 'day', date_trunc('day', bucket_start AT TIME ZONE $2) AT TIME ZONE $2, SUM(samples),
+               MIN(temperature_min), SUM(temperature_avg * samples) / SUM(samples), MAX(temperature_max),
+               MIN(light_min), SUM(light_avg * samples) / SUM(samples), MAX(light_max),
+               SUM(open_ratio * samples) / SUM(samples)
+             FROM sensor_rollups WHERE bucket = 'hour' AND bucket_start < $1
+             GROUP BY device_id, 3
+             ${ROLLUP_UPSERT_SQL}`,
+            [cutoff, timezone]
+          );
+          const deleted = await client.query(
+            "DELETE FROM sensor_rollups WHERE bucket = 'hour' AND bucket_start < $1",
+            [cutoff]
+          );
+          stats.hourlyRolledUp = deleted.rowCount;
+        }
+
+        if (retention.dailyDays > 0) {
+          const deleted = await client.query(
+            "DELETE FROM sensor_rollups WHERE bucket = 'day' AND bucket_start < $1",
+            [daysAgo(retention.dailyDays)]
+          );
+          stats.dailyDeleted = deleted.rowCount;
+        }
+
+        if (retention.commandDays > 0) {
+          const deleted = await client.query(
+            "DELETE FROM command_logs WHERE created_at < $1",
+            [daysAgo(retention.commandDays)]
+          );
+          stats.commandsDeleted = deleted.rowCount;
+        }
+
+        if (retention.alertDays > 0) {
+          const deleted = await client.query(
+            "DELETE FROM alert_history WHERE fired_at < $1",
+            [daysAgo(retention.alertDays)]
+          );
+          stats.alertsDeleted = deleted.rowCount;
+        }
+
+        if (retention.deviceEventDays > 0) {
+          const deleted = await client.query(
+            "DELETE FROM device_events WHERE created_at < $1",
+            [daysAgo(retention.deviceEventDays)]
+          );
+          stats.deviceEventsDeleted = deleted.rowCount;
+        }
+
+        await client.query("COMMIT");
+        return stats;
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Commands
+
+    async logCommand(entry) {
+      await pool.query(
+        `INSERT INTO command_logs (command_id, device_id, command, source, status, attempts, latency_ms, error, window_state, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [entry.commandId, entry.deviceId, entry.command, entry.source, entry.status, entry.attempts, entry.latencyMs, entry.error, entry.window, entry.userId]
+      );
+    },
+
+    // Newest first
+    async listCommands(limit, deviceIds) {
+      const result = await pool.query(
+        `SELECT ${COMMAND_LOG_COLUMNS} FROM command_logs WHERE ($2::varchar[] IS NULL OR device_id = ANY($2))
+         ORDER BY created_at DESC, id DESC LIMIT $1`,
+        [limit, deviceIds || null]
+      );
+      return result.rows;
+    },
+
+    // Oldest first
+    async queryCommandHistory({ deviceId, from, to, limit, offset }) {
+      const result = await pool.query(
+        `SELECT ${COMMAND_LOG_COLUMNS} FROM command_logs
+         WHERE created_at >= $1 AND created_at < $2 AND ($3::varchar IS NULL OR device_id = $3)
+         ORDER BY created_at, id LIMIT $4 OFFSET $5`,
+        [from, to, deviceId || null, limit + 1, offset]
+      );
+      return { rows: result.rows.slice(0, limit), hasMore: result.rows.length > limit };
+    },
+
+    // Audit log (insert only; the table refuses updates and deletes)
+
+    async saveAuditEntry(entry) {
+      await pool.query(
+        `INSERT INTO audit_log (user_id, username, action, target_type, target_id, source, ip_address, user_agent, details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [entry.userId, entry.username, entry.action, entry.targetType, entry.targetId, entry.source, entry.ipAddress, entry.userAgent, JSON.stringify(entry.details)]
+      );
+    },
+
+    // Newest first
+    async listAuditLog({ userId, action, targetId, from, to, limit, offset }) {
+      const params = [from, to];
+      const conditions = ["created_at >= $1", "created_at < $2"];
+      const filter = (column, value) => {
+        if (value == null) return;
+        params.push(value);
+        conditions.push(`${column} = $${params.length}`);
+      };
+      filter("user_id", userId);
+      filter("action", action);
+      filter("target_id", targetId);
+
+      params.push(limit + 1, offset);
+      const result = await pool.query(
+        `SELECT * FROM audit_log WHERE ${conditions.join(" AND ")}
+         ORDER BY created_at DESC, id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return { rows: result.rows.slice(0, limit), hasMore: result.rows.length > limit };
+    },
+
+    // Device events
+
+    async saveDeviceEvent({ deviceId, event, reason, at }) {
+      await pool.query(
+        "INSERT INTO device_events (device_id, event, reason, created_at) VALUES ($1, $2, $3, $4)",
+        [deviceId, event, reason, at]
+      );
+    },
+
+    async listDeviceEvents(deviceId, from, to) {
+      const result = await pool.query(
+        `(SELECT * FROM device_events WHERE device_id = $1 AND created_at < $2 ORDER BY created_at DESC, id DESC LIMIT 1)
+         UNION ALL
+         (SELECT * FROM device_events WHERE device_id = $1 AND created_at >= $2 AND created_at <= $3)
+         ORDER BY created_at, id`,
+        [deviceId, from, to]
+      );
+      return result.rows;
+    },
+
+    // Jobs
+
+    async saveJobRun(name, status) {
+      await pool.query(
+        `INSERT INTO job_runs (job_name, last_started_at, last_finished_at, last_status, last_error, last_stats)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (job_name) DO UPDATE SET last_started_at = $2, last_finished_at = $3, last_status = $4, last_error = $5, last_stats = $6`,
+        [name, status.lastStartedAt, status.lastFinishedAt, status.lastStatus, status.lastError, JSON.stringify(status.lastStats)]
+      );
+    },
+
+    // name -> { lastStartedAt, lastFinishedAt, lastStatus, lastError, lastStats }
+    async loadJobRuns() {
+      const result = await pool.query("SELECT * FROM job_runs");
+      return Object.fromEntries(result.rows.map((row) => [row.job_name, {
+        lastStartedAt: row.last_started_at,
+        lastFinishedAt: row.last_finished_at,
+        lastStatus: row.last_status,
+        lastError: row.last_error,
+        lastStats: row.last_stats,
+      }]));
+    },
+  };
+}
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,71 @@
+// ===============================
+// Throttling
+// ===============================
+
+// In-memory limits that express-rate-limit does not cover: locking an
+// account after repeated failed logins, and a token bucket for messages on
+// one WebSocket. State is per process and starts empty after a restart.
+
+// Lock a key (an account) for `lockMs` once it has `maxFailures` failures
+// within `windowMs`. A success clears the count.
+function createLockout({ maxFailures, windowMs, lockMs }) {
+  const entries = new Map(); // key -> { failures: [times], lockedUntil }
+
+  function prune(now) {
+    entries.forEach((entry, key) => {
+      if (entry.lockedUntil <= now && entry.failures.every((time) => time <= now - windowMs)) {
+        entries.delete(key);
+      }
+    });
+  }
+
+  return {
+    // Milliseconds until `key` may try again (0 = not locked)
+    lockedFor(key, now = Date.now()) {
+      const entry = entries.get(key);
+      return entry && entry.lockedUntil > now ? entry.lockedUntil - now : 0;
+    },
+
+    // Count a failure; returns true when this one locked the key
+    fail(key, now = Date.now()) {
+      if (maxFailures <= 0) return false;
+      if (entries.size > 10000) prune(now);
+
+      const entry = entries.get(key) || { failures: [], lockedUntil: 0 };
+      entry.failures = entry.failures.filter((time) => time > now - windowMs);
+      entry.failures.push(now);
+      entries.set(key, entry);
+
+      if (entry.failures.length >= maxFailures) {
+        entry.failures = [];
+        entry.lockedUntil = now + lockMs;
+        return true;
+      }
+      return false;
+    },
+
+    succeed(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// Allows `burst` messages at once, refilled at `ratePerSecond`.
+// take() returns false when the bucket is empty.
+function createTokenBucket({ ratePerSecond, burst }) {
+  let tokens = burst;
+  let refilledAt = Date.now();
+
+  return {
+    take(now = Date.now()) {
+      if (ratePerSecond <= 0) return true;
+      tokens = Math.min(burst, tokens + ((now - refilledAt) / 1000) * ratePerSecond);
+      refilledAt = now;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+  };
+}
+
+module.exports = { createLockout, createTokenBucket };
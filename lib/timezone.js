@@ -0,0 +1,105 @@
+// ===============================
+// Timezone Helpers
+// ===============================
+
+// Wall-clock arithmetic for IANA timezones using only Intl, shared by the
+// scheduler, the retention job and the storage backends.
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Creating a formatter is slow, so keep one per timezone
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+// Wall-clock parts of `date` in `timezone`
+function getZonedParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  return parts;
+}
+
+// Offset of `timezone` from UTC at `date`, in milliseconds
+function getTimezoneOffset(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant when the wall clock in `timezone` shows the given local time
+function zonedTimeToDate(year, month, day, hour, minute, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  let offset = getTimezoneOffset(new Date(guess), timezone);
+  // Re-check the offset at the result in case a DST change lies in between
+  const corrected = getTimezoneOffset(new Date(guess - offset), timezone);
+  if (corrected !== offset) offset = corrected;
+  return new Date(guess - offset);
+}
+
+// Midnight of the day containing `date`, on the wall clock of `timezone`
+function startOfDayInTimezone(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return zonedTimeToDate(p.year, p.month, p.day, 0, 0, timezone);
+}
+
+// Start of the minute, hour or day containing `date` in `timezone`
+// (the same as date_trunc(unit, t AT TIME ZONE tz) AT TIME ZONE tz)
+function truncateDate(date, unit, timezone) {
+  const p = getZonedParts(date, timezone);
+  if (unit === "day") {
+    return zonedTimeToDate(p.year, p.month, p.day, 0, 0, timezone);
+  }
+  return zonedTimeToDate(p.year, p.month, p.day, p.hour, unit === "minute" ? p.minute : 0, timezone);
+}
+
+// Minutes since midnight for "HH:MM"
+function parseTimeOfDay(time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+// Is the wall clock in `timezone` between `from` and `to` ("HH:MM", `to`
+// excluded)? The range may wrap past midnight, e.g. 22:00-06:00. Without a
+// range, or with from == to, the whole day counts.
+function isWithinTimeOfDay(date, from, to, timezone) {
+  if (!from || !to || from === to) return true;
+  const p = getZonedParts(date, timezone);
+  const now = p.hour * 60 + p.minute;
+  const start = parseTimeOfDay(from);
+  const end = parseTimeOfDay(to);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToDate,
+  startOfDayInTimezone,
+  truncateDate,
+  isWithinTimeOfDay,
+};
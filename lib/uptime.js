@@ -0,0 +1,41 @@
+// ===============================
+// Device Uptime
+// ===============================
+
+// Online time of a device between `from` and `to`, from its device_events
+// rows ({ event: "online" | "offline", created_at }) oldest first. The first
+// row may be older than `from`: it gives the state the range starts in.
+
+function computeUptime(events, from, to) {
+  const start = from.getTime();
+  const end = to.getTime();
+  let online = false;
+  let since = start;
+  let onlineMs = 0;
+  let connects = 0;
+  let disconnects = 0;
+
+  events.forEach((entry) => {
+    const time = new Date(entry.created_at).getTime();
+    const at = Math.min(Math.max(time, start), end);
+    if (online) onlineMs += at - since;
+    since = at;
+    online = entry.event === "online";
+    if (time >= start && time <= end) {
+      if (online) connects++;
+      else disconnects++;
+    }
+  });
+  if (online) onlineMs += end - since;
+
+  const totalMs = end - start;
+  return {
+    onlineMs,
+    offlineMs: totalMs - onlineMs,
+    uptimeRatio: totalMs > 0 ? onlineMs / totalMs : 0,
+    connects,
+    disconnects,
+  };
+}
+
+module.exports = { computeUptime };
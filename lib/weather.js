@@ -0,0 +1,128 @@
+// ===============================
+// Weather Providers
+// ===============================
+
+// Outdoor conditions for the AUTO logic. A provider has a name and
+// fetchCurrent(location) resolving to an observation:
+//
+//   { temperature (°C), humidity (%), windSpeed (km/h), raining,
+//     rainForecast, rainProbability (% over the lookahead), observedAt }
+//
+// Providers are picked with WEATHER_PROVIDER:
+//
+//   open-meteo  the Open-Meteo forecast API (no key needed)
+//   json        any URL that answers with an observation as above
+
+const axios = require("axios");
+
+const HOUR_MS = 60 * 60 * 1000;
+const RAIN_MM = 0.1; // precipitation per hour that counts as rain
+
+// Fill {lat} / {lon} in a URL template
+function expandUrl(url, location) {
+  return url.replace(/\{lat\}/g, location.latitude).replace(/\{lon\}/g, location.longitude);
+}
+
+function numberOrNull(value) {
+  return value == null || !Number.isFinite(Number(value)) ? null : Number(value);
+}
+
+// options: { url, timeoutMs, lookaheadHours, rainProbability }
+function createOpenMeteoProvider(options) {
+  return {
+    name: "open-meteo",
+    async fetchCurrent(location) {
+      const response = await axios.get(expandUrl(options.url, location), {
+        timeout: options.timeoutMs,
+        params: {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          current: "temperature_2m,relative_humidity_2m,precipitation,wind_speed_10m",
+          hourly: "precipitation_probability,precipitation",
+          // from the start of the current hour, so one more than the lookahead
+          forecast_hours: Math.ceil(options.lookaheadHours) + 1,
+          wind_speed_unit: "kmh",
+          timezone: "GMT",
+        },
+      });
+      const { current, hourly } = response.data || {};
+      if (!current) throw new Error("Weather response has no current conditions");
+
+      // Hourly times are GMT without an offset
+      const now = Date.now();
+      const end = now + options.lookaheadHours * HOUR_MS;
+      let rainProbability = 0;
+      let rainForecast = false;
+      ((hourly && hourly.time) || []).forEach((time, i) => {
+        const start = Date.parse(time + "Z");
+        if (start + HOUR_MS <= now || start >= end) return;
+        const probability = numberOrNull(hourly.precipitation_probability && hourly.precipitation_probability[i]) || 0;
+        const amount = numberOrNull(hourly.precipitation && hourly.precipitation[i]) || 0;
+        rainProbability = Math.max(rainProbability, probability);
+        if (probability >= options.rainProbability || amount >= RAIN_MM) rainForecast = true;
+      });
+
+      return {
+        temperature: numberOrNull(current.temperature_2m),
+        humidity: numberOrNull(current.relative_humidity_2m),
+        windSpeed: numberOrNull(current.wind_speed_10m),
+        raining: (numberOrNull(current.precipitation) || 0) >= RAIN_MM,
+        rainForecast,
+        rainProbability,
+        observedAt: current.time ? new Date(current.time + "Z").toISOString() : new Date().toISOString(),
+      };
+    },
+  };
+}
+
+// options: { url, timeoutMs }
+function createJsonProvider(options) {
+  return {
+    name: "json",
+    async fetchCurrent(location) {
+      const response = await axios.get(expandUrl(options.url, location), { timeout: options.timeoutMs });
+      const data = response.data || {};
+      return {
+        temperature: numberOrNull(data.temperature),
+        humidity: numberOrNull(data.humidity),
+        windSpeed: numberOrNull(data.windSpeed),
+        raining: data.raining === true,
+        rainForecast: data.rainForecast === true,
+        rainProbability: numberOrNull(data.rainProbability),
+        observedAt: data.observedAt ? new Date(data.observedAt).toISOString() : new Date().toISOString(),
+      };
+    },
+  };
+}
+
+const WEATHER_PROVIDERS = {
+  "open-meteo": createOpenMeteoProvider,
+  json: createJsonProvider,
+};
+
+function createWeatherProvider(name, options) {
+  const create = WEATHER_PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown WEATHER_PROVIDER "${name}" (expected ${Object.keys(WEATHER_PROVIDERS).join(", ")})`);
+  }
+  return create(options);
+}
+
+// Why AUTO should keep the window closed, or null. `settings` are the
+// owner's window_settings; `indoor` is the calibrated indoor temperature.
+function weatherHoldReason(weather, indoor, settings) {
+  if (!weather || settings.weather_enabled === false) return null;
+  if (settings.weather_close_on_rain !== false && weather.raining) return "rain";
+  if (settings.weather_close_on_rain !== false && weather.rainForecast) return "rain_forecast";
+
+  const maxWind = Number(settings.weather_max_wind);
+  if (maxWind > 0 && weather.windSpeed != null && weather.windSpeed > maxWind) return "wind";
+
+  if (settings.weather_close_when_warmer !== false && weather.temperature != null &&
+    indoor != null && weather.temperature > indoor) {
+    return "warmer_outside";
+  }
+  return null;
+}
+
+module.exports = { WEATHER_PROVIDERS, createWeatherProvider, weatherHoldReason };
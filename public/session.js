@@ -0,0 +1,79 @@
+/* ================= Session ================= */
+
+// Shared by the dashboard and the admin page. The access token is short-lived;
+// the refresh token (both in localStorage) gets a new one when it expires.
+
+let token = localStorage.getItem("token");
+
+function clearLogin() {
+  ["token", "refreshToken", "userId", "username", "role", "emailVerified"].forEach((key) => localStorage.removeItem(key));
+  window.location.href = "/auth.html";
+}
+
+async function handleLogout() {
+  try {
+    await fetch("/api/logout", { method: "POST", headers: { Authorization: "Bearer " + token } });
+  } catch (e) {
+    // Signed out locally either way
+  }
+  clearLogin();
+}
+
+// Seconds until the access token expires
+function tokenLifetime() {
+  try {
+    return JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))).exp - Date.now() / 1000;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// Swap the refresh token for new tokens. Tabs share one refresh token, so
+// only one tab refreshes at a time and the others pick up its result.
+async function refreshSession() {
+  const used = localStorage.getItem("refreshToken");
+  const refresh = async () => {
+    const current = localStorage.getItem("refreshToken");
+    if (!current) return false;
+    if (current !== used) {
+      token = localStorage.getItem("token");
+      return true;
+    }
+    const res = await fetch("/api/token/refresh", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken: current }),
+    });
+    if (!res.ok) return false;
+    const data = await res.json();
+    token = data.token;
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("refreshToken", data.refreshToken);
+    return true;
+  };
+  try {
+    return navigator.locks ? await navigator.locks.request("smart-window-refresh", refresh) : await refresh();
+  } catch (e) {
+    return false;
+  }
+}
+
+// A token that is good for at least another half minute
+async function freshToken() {
+  if (tokenLifetime() < 30) await refreshSession();
+  return token;
+}
+
+// fetch with the access token; refreshes it once on 401 and signs out when
+// the session is gone (403 = signed in, but the role does not allow it)
+async function authFetch(url, options = {}) {
+  const send = () => fetch(url, { ...options, headers: { ...options.headers, Authorization: "Bearer " + token } });
+  let res = await send();
+  if (res.status === 401 && await refreshSession()) {
+    res = await send();
+  }
+  if (res.status === 401) {
+    clearLogin();
+  }
+  return res;
+}
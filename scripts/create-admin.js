@@ -0,0 +1,59 @@
+// ===============================
+// Create Admin
+// ===============================
+
+// Creates an admin user, or gives an existing user the admin role, in the
+// backend chosen by STORAGE_BACKEND (same environment as the server).
+//
+//   npm run create-admin -- <username> [email]
+//
+// The password is read from ADMIN_PASSWORD, or asked for. For an existing
+// user the password is left alone unless --reset-password is given.
+
+const readline = require("readline");
+const { createStorage } = require("../lib/storage");
+const { initFirebase } = require("../lib/firebase");
+const { seedAdmin } = require("../lib/admins");
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => rl.question(question, (answer) => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const resetPassword = args.includes("--reset-password");
+  const [username, email] = args.filter((arg) => !arg.startsWith("--"));
+
+  if (!username) {
+    console.error("Usage: npm run create-admin -- <username> [email] [--reset-password]");
+    process.exit(1);
+  }
+
+  const backend = process.env.STORAGE_BACKEND || "postgres";
+  if (backend === "memory") {
+    console.error("❌ The memory backend lives inside the server; set ADMIN_USERNAME, ADMIN_EMAIL and ADMIN_PASSWORD for it instead");
+    process.exit(1);
+  }
+
+  const storage = createStorage(backend, backend === "firebase" ? initFirebase() : null);
+  await storage.init();
+
+  const existing = await storage.findUserByUsername(username);
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password && (!existing || resetPassword)) {
+    password = await ask("Password: ");
+  }
+
+  const { user, action } = await seedAdmin(storage, { username, email, password, resetPassword });
+  console.log(`✅ Admin ${user.username} (id ${user.id}) ${action}`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error("❌ Create admin failed:", error.message);
+  process.exit(1);
+});
@@ -1,89 +1,89 @@
 // ===============================
 // Smart Window Control System
-// WebSocket + PostgreSQL + Firebase + Auth
+// WebSocket + MQTT + PostgreSQL + Firebase + Auth
 // ===============================
 
 const express = require("express");
 const http = require("http");
 const WebSocket = require("ws");
 const cors = require("cors");
+const helmet = require("helmet");
+const { rateLimit } = require("express-rate-limit");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const axios = require("axios");
-const { Pool } = require("pg");
-const admin = require("firebase-admin");
-const fs = require("fs");
 const crypto = require("crypto");
+const proxyaddr = require("proxy-addr");
+const { createStorage } = require("./lib/storage");
+const { initFirebase } = require("./lib/firebase");
+const { ROLES, isValidRole, roleOf, can, roleForDevice, canControlAs } = require("./lib/roles");
+const { seedAdmin } = require("./lib/admins");
+const { sampleToRollup, mergeRollups } = require("./lib/rollups");
+const { createJournal } = require("./lib/journal");
+const { computeUptime } = require("./lib/uptime");
+const { windowPeriods, dailySummaries, toCsv } = require("./lib/analytics");
+const { DEFAULT_CALIBRATION, parseCalibration, calibrateReading } = require("./lib/calibration");
+const { createSensorFilter, SMOOTHING_METHODS, DEFAULT_LIMITS } = require("./lib/sensors");
+const { createWeatherProvider, weatherHoldReason } = require("./lib/weather");
+const { MQTT_MODES, createMqttTransport } = require("./lib/mqtt");
+const {
+  ALERT_METRICS,
+  ALERT_OPERATORS,
+  createRuleState,
+  evaluateRule,
+  isQuietTime,
+  alertValue,
+} = require("./lib/alerts");
+const { NOTIFICATION_CHANNELS, DEFAULT_TEMPLATES, buildMessage, createNotifier } = require("./lib/notifications");
+const { createMailer } = require("./lib/mailer");
+const { checkPassword } = require("./lib/passwords");
+const { createLockout, createTokenBucket } = require("./lib/throttle");
+const {
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToDate,
+  startOfDayInTimezone,
+} = require("./lib/timezone");
 
 // ===============================
-// Database Setup
+// Firebase Setup
 // ===============================
 
-const pool = new Pool({
-  host: process.env.DB_HOST || "localhost",
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || "smart_window_db",
-  user: process.env.DB_USER || "admin",
-  password: process.env.DB_PASSWORD || "admin123",
-});
-
-pool.on("error", (err) => {
-  console.error("Unexpected error on idle client", err);
-});
-
-// Test database connection
-pool.query("SELECT NOW()", (err, result) => {
-  if (err) {
-    console.error("❌ Database connection failed:", err.message);
-  } else {
-    console.log("✅ Database connected successfully");
-  }
-});
+const db = initFirebase();
 
 // ===============================
-// Firebase Setup
+// Storage Setup
 // ===============================
 
-// Prefer passing the service account JSON via environment variable
-// (FIREBASE_SERVICE_ACCOUNT) to avoid committing credentials into Git.
-let db = null;
-let firebaseInitialized = false;
-if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+// Users, tokens, settings, devices, schedules, telemetry and command history
+// live in the backend chosen by STORAGE_BACKEND (postgres, firebase or
+// memory). See lib/storage/index.js for the interface.
+const storage = createStorage(process.env.STORAGE_BACKEND || "postgres", db);
+
+storage.init().then(
+  () => {
+    console.log(`✅ Storage ready (${storage.name})`);
+    return seedAdminFromEnv();
+  },
+  (err) => console.error(`❌ Storage connection failed (${storage.name}):`, err.message)
+);
+
+// ADMIN_USERNAME (with ADMIN_EMAIL and ADMIN_PASSWORD for a new user) makes
+// sure that admin exists; the only way to get one with the memory backend
+async function seedAdminFromEnv() {
+  if (!process.env.ADMIN_USERNAME) return;
   try {
-    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      databaseURL: process.env.FIREBASE_DB_URL || "",
+    const { user, action } = await seedAdmin(storage, {
+      username: process.env.ADMIN_USERNAME,
+      email: process.env.ADMIN_EMAIL,
+      password: process.env.ADMIN_PASSWORD,
     });
-    firebaseInitialized = true;
-    console.log("✅ Firebase initialized from FIREBASE_SERVICE_ACCOUNT");
+    if (action !== "unchanged") console.log(`👤 Admin ${user.username} ${action}`);
   } catch (error) {
-    console.error("❌ Firebase initialization error (env):", error.message);
-  }
-} else {
-  const serviceAccountPath = "./serviceAccountKey.json";
-  if (fs.existsSync(serviceAccountPath)) {
-    try {
-      const serviceAccount = require(serviceAccountPath);
-      admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-        databaseURL: process.env.FIREBASE_DB_URL || "",
-      });
-      firebaseInitialized = true;
-      console.log("✅ Firebase initialized from serviceAccountKey.json");
-    } catch (error) {
-      console.error("❌ Firebase initialization error:", error.message);
-    }
-  } else {
-    console.warn("⚠️  serviceAccountKey.json not found and FIREBASE_SERVICE_ACCOUNT not set, Firebase disabled");
+    console.error("❌ Admin seed failed:", error.message);
   }
 }
 
-if (firebaseInitialized && admin.database) {
-  db = admin.database();
-} else {
-  db = null;
-}
 // ===============================
 // Telegram Setup
 // ===============================
@@ -91,6 +91,18 @@ if (firebaseInitialized && admin.database) {
 // Load Telegram configuration from environment variables to avoid committing tokens.
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN || null;
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID || null;
+// Point this at a local stub to test the bot without Telegram
+const TELEGRAM_API_URL = (process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/+$/, "");
+
+// Call a Bot API method; resolves with its `result`
+async function callTelegram(method, params, timeoutMs) {
+  const response = await axios.post(
+    `${TELEGRAM_API_URL}/bot${TELEGRAM_TOKEN}/${method}`,
+    params || {},
+    { timeout: timeoutMs || 10000 }
+  );
+  return response.data.result;
+}
 
 async function sendTelegram(message) {
   if (!TELEGRAM_TOKEN || !TELEGRAM_CHAT_ID) {
@@ -98,28 +110,95 @@ async function sendTelegram(message) {
     return;
   }
   try {
-    await axios.post(
-      `https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`,
-      {
-        chat_id: TELEGRAM_CHAT_ID,
-        text: message,
-      }
-    );
+    await callTelegram("sendMessage", {
+      chat_id: TELEGRAM_CHAT_ID,
+      text: message,
+    });
     console.log("Telegram Alert Sent");
   } catch (error) {
     console.log("Telegram Error:", error.message);
   }
 }
+
+// ===============================
+// Mail Setup
+// ===============================
+
+// SMTP for email notifications, verification and password reset mail
+const mailer = createMailer({
+  host: process.env.SMTP_HOST || null,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER || null,
+  pass: process.env.SMTP_PASS || null,
+  from: process.env.SMTP_FROM || process.env.SMTP_USER || "smart-window@localhost",
+});
+
+if (!mailer.enabled) {
+  console.warn("⚠️  SMTP_HOST not set: email verification and password reset mail are disabled");
+}
+
 // ===============================
 // Express Setup
 // ===============================
 const app = express();
-app.use(cors());
-app.use(express.json());
+
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1 = one hop) so req.ip, and
+// with it rate limits and session IPs, use the client's address (WebSocket
+// connections read it the same way, see wss.on("connection"))
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Security headers. The pages use inline scripts and handlers and load
+// Chart.js from jsDelivr; plain-http installs must keep working.
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net"],
+      scriptSrcAttr: ["'unsafe-inline'"],
+      connectSrc: ["'self'", "ws:", "wss:"],
+      upgradeInsecureRequests: null,
+    },
+  },
+}));
+
+// Pages on other origins may call the API only when listed in CORS_ORIGINS
+// (comma-separated, "*" for any). The dashboard itself is same-origin.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim().replace(/\/$/, ""))
+  .filter(Boolean);
+if (CORS_ORIGINS.length > 0) {
+  app.use(cors({ origin: CORS_ORIGINS.includes("*") ? "*" : CORS_ORIGINS }));
+}
+
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || "16kb";
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: `Request body is larger than ${JSON_BODY_LIMIT}` });
+  }
+  next(err);
+});
 app.use(express.static("public"));
 
+// Every route can rely on req.body being a plain object
+app.use((req, res, next) => {
+  if (req.body === undefined) {
+    req.body = {};
+  } else if (req.body === null || typeof req.body !== "object" || Array.isArray(req.body)) {
+    return res.status(400).json({ error: "Request body must be a JSON object" });
+  }
+  next();
+});
+
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: Number(process.env.WS_MAX_PAYLOAD_BYTES) || 16 * 1024 });
 
 const PORT = process.env.PORT || 8080;
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
@@ -128,7 +207,114 @@ const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-producti
 // Middleware
 // ===============================
 
-function authenticateToken(req, res, next) {
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Access tokens are short-lived JWTs that name their session (`sid`). A
+// session is a "refresh" row in user_tokens; its refresh token is replaced
+// on every use, so a stolen one stops working once the owner refreshes.
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// IP address and user agent stored with a session
+function clientInfo(req) {
+  return {
+    ipAddress: (req.ip || "").slice(0, 45) || null,
+    userAgent: (req.get("user-agent") || "").slice(0, 255) || null,
+  };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, username: user.username, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+  });
+}
+
+// Refresh tokens are "<session id>.<secret>"; only the hash is stored
+function createRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Start a session for a user who has just signed in. Resolves to the
+// tokens for the response: { token, refreshToken, expiresIn }.
+async function createSession(user, req) {
+  // The row is created first because the refresh token carries its ID
+  const sessionId = await storage.saveToken({
+    userId: user.id,
+    tokenHash: hashToken(crypto.randomBytes(32).toString("hex")),
+    type: "refresh",
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req),
+  });
+  const refreshToken = createRefreshToken(sessionId);
+  await storage.rotateToken(sessionId, { tokenHash: hashToken(refreshToken), expiresAt: refreshExpiry(), ...clientInfo(req) });
+
+  return { token: signAccessToken(user, sessionId), refreshToken, expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 };
+}
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Verify a JWT and its user_tokens row (recorded, not revoked, not expired).
+// Session tokens are checked against their session row; tokens issued
+// before sessions have a row of their own. The role comes from the users
+// row, so role changes apply without signing in again.
+// Resolves to { user, tokenId }; rejects with an error carrying `status`.
+// Shared by authenticateToken and the WebSocket AUTH handshake.
+async function verifyUserToken(token) {
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      throw authError(401, "Token expired");
+    }
+    throw authError(403, "Invalid token");
+  }
+
+  const row = user.sid
+    ? await storage.findTokenById(user.sid)
+    : await storage.findTokenByHash(hashToken(token));
+
+  if (!row || (user.sid && String(row.user_id) !== String(user.id))) {
+    throw authError(401, 'Token not recognized');
+  }
+
+  if (row.revoked) {
+    throw authError(401, 'Token revoked');
+  }
+
+  if (row.expires_at && new Date(row.expires_at) < new Date()) {
+    throw authError(401, 'Token expired');
+  }
+
+  const account = row.user_id != null ? await storage.findUserById(row.user_id) : null;
+  if (!account) {
+    throw authError(401, 'Token not recognized');
+  }
+
+  // update last used
+  try {
+    await storage.touchToken(row.id);
+  } catch (e) {
+    console.warn('Failed to update token last_used_at', e && e.message ? e.message : e);
+  }
+
+  return {
+    user: { ...user, id: account.id, username: account.username, role: roleOf(account) },
+    tokenId: row.id,
+  };
+}
+
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
   
@@ -136,80 +322,218 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: "Access token required" });
   }
 
-  jwt.verify(token, JWT_SECRET, async (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: "Invalid token" });
+  let verified;
+  try {
+    verified = await verifyUserToken(token);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
     }
-    // Verify token is recorded and not revoked
-    try {
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-      const result = await pool.query(
-        'SELECT id, revoked, expires_at FROM user_tokens WHERE token_hash = $1 LIMIT 1',
-        [tokenHash]
-      );
+    console.error('Token lookup error:', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
 
-      if (result.rows.length === 0) {
-        return res.status(401).json({ error: 'Token not recognized' });
-      }
+  req.user = verified.user;
+  req.tokenId = verified.tokenId;
+  next();
+}
 
-      const row = result.rows[0];
-      if (row.revoked) {
-        return res.status(401).json({ error: 'Token revoked' });
-      }
+// Use after authenticateToken; see lib/roles.js for who may do what
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return res.status(403).json({ error: `The ${roleOf(req.user)} role is not allowed to do this` });
+    }
+    next();
+  };
+}
 
-      if (row.expires_at && new Date(row.expires_at) < new Date()) {
-        return res.status(401).json({ error: 'Token expired' });
-      }
+// The user as sent to the browser
+function serializeUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: roleOf(user),
+    emailVerified: Boolean(user.email_verified_at),
+  };
+}
 
-      // update last used
-      try {
-        await pool.query('UPDATE user_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
-      } catch (e) {
-        console.warn('Failed to update token last_used_at', e && e.message ? e.message : e);
-      }
+// ===============================
+// Audit Log
+// ===============================
 
-      req.user = user;
-      next();
-    } catch (dbErr) {
-      console.error('Token lookup error:', dbErr && dbErr.message ? dbErr.message : dbErr);
-      return res.status(500).json({ error: 'Internal server error' });
-    }
+// Who did what, kept in the append-only audit_log table and shown to
+// admins at GET /api/admin/audit
+const AUDIT_ACTIONS = [
+  "register", "login", "login_failed", "account_locked", "logout", "email_verify", "password_reset_request", "password_reset",
+  "settings_update", "command", "device_calibrate", "user_update", "user_delete", "user_sessions_revoke", "telegram_link",
+];
+
+// Record an action by `actor` (a user, or null when nobody is signed in).
+// `context` is { source, ipAddress, userAgent }, see requestContext().
+// Best-effort: a failed write is logged and the action goes ahead.
+async function audit(action, actor, context, { targetType, targetId, details } = {}) {
+  try {
+    await storage.saveAuditEntry({
+      userId: actor ? actor.id : null,
+      username: actor ? actor.username || null : null,
+      action,
+      targetType: targetType || null,
+      targetId: targetId == null ? null : String(targetId),
+      source: context.source || null,
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent || null,
+      details: details || null,
+    });
+  } catch (error) {
+    console.warn("⚠️  Failed to write audit log:", error.message);
+  }
+}
+
+// Audit context of an HTTP request
+function requestContext(req) {
+  return { source: "api", ...clientInfo(req) };
+}
+
+// ===============================
+// Rate Limits & Login Lockout
+// ===============================
+
+// Per client IP (express-rate-limit): failed logins, the unauthenticated
+// account routes and the API as a whole. Per account (lib/throttle.js):
+// LOGIN_MAX_FAILURES wrong passwords lock it for LOGIN_LOCKOUT_MINUTES,
+// whichever addresses they came from. Set a limit to 0 to turn it off.
+const LOGIN_RATE_LIMIT = numberFromEnv("LOGIN_RATE_LIMIT", 10); // failed logins per 15 minutes
+const ACCOUNT_RATE_LIMIT = numberFromEnv("ACCOUNT_RATE_LIMIT", 20); // per hour
+const API_RATE_LIMIT = numberFromEnv("API_RATE_LIMIT", 600); // per minute
+const LOGIN_MAX_FAILURES = numberFromEnv("LOGIN_MAX_FAILURES", 5);
+const LOGIN_FAILURE_WINDOW_MINUTES = numberFromEnv("LOGIN_FAILURE_WINDOW_MINUTES", 15);
+const LOGIN_LOCKOUT_MINUTES = numberFromEnv("LOGIN_LOCKOUT_MINUTES", 15);
+
+function createLimiter(limit, windowMinutes, error, options = {}) {
+  return rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit,
+    skip: () => limit <= 0,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    message: { error },
+    ...options,
+  });
+}
+
+const loginLimiter = createLimiter(LOGIN_RATE_LIMIT, 15, "Too many failed logins from this address, try again later", {
+  skipSuccessfulRequests: true,
+});
+const accountLimiter = createLimiter(ACCOUNT_RATE_LIMIT, 60, "Too many requests from this address, try again later");
+app.use("/api", createLimiter(API_RATE_LIMIT, 1, "Too many requests, slow down"));
+
+const loginLockout = createLockout({
+  maxFailures: LOGIN_MAX_FAILURES,
+  windowMs: LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000,
+  lockMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000,
+});
+
+// Unknown usernames are locked by name too, so a lockout does not tell
+// whether an account exists
+function loginLockKey(user, username) {
+  return user ? `user:${user.id}` : `name:${String(username).toLowerCase()}`;
+}
+
+function sendLockedOut(res, waitMs) {
+  res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+  return res.status(429).json({
+    error: `Too many failed logins, try again in ${Math.ceil(waitMs / 60000)} minute(s)`,
   });
 }
 
+// Audit a failed login and count it towards the account's lockout
+async function recordLoginFailure(user, username, req, details) {
+  await audit("login_failed", user, requestContext(req), { details: { username, ...details } });
+  if (loginLockout.fail(loginLockKey(user, username))) {
+    console.warn(`⚠️  Login for "${username}" locked for ${LOGIN_LOCKOUT_MINUTES} minutes after repeated failures`);
+    await audit("account_locked", user, requestContext(req), {
+      targetType: user ? "user" : null,
+      targetId: user ? user.id : null,
+      details: { username, minutes: LOGIN_LOCKOUT_MINUTES },
+    });
+  }
+}
+
 // ===============================
 // Auth Routes
 // ===============================
 
+// Firebase connection and the backlog of journaled writes. The health check
+// is public, so the journal's path on disk is only in the admin report.
+function firebaseHealth() {
+  const { file, ...backlog } = firebaseJournal.status();
+  return { enabled: Boolean(db), connected: firebaseConnected, backlog };
+}
+
 // Health check
 app.get("/api/health", async (req, res) => {
   try {
-    const result = await pool.query("SELECT NOW()");
-    res.json({ status: "ok", database: "connected", timestamp: result.rows[0] });
+    await storage.ping();
+    res.json({
+      status: "ok",
+      database: "connected",
+      storage: storage.name,
+      firebase: firebaseHealth(),
+      mqtt: mqttTransport.status(),
+      timestamp: new Date().toISOString(),
+    });
   } catch (error) {
     console.error("Health check error:", error);
-    res.status(503).json({ status: "error", database: "disconnected", error: error.message });
+    res.status(503).json({
+      status: "error",
+      database: "disconnected",
+      storage: storage.name,
+      firebase: firebaseHealth(),
+      mqtt: mqttTransport.status(),
+      error: error.message,
+    });
   }
 });
 
+// Usernames are 3-50 letters (any script), digits, "_", "." or "-"
+const USERNAME_PATTERN = /^[\p{L}\p{M}\p{N}_.-]{3,50}$/u;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_MAX_LENGTH = 100;
+
+function isValidEmail(email) {
+  return typeof email === "string" && email.length <= EMAIL_MAX_LENGTH && EMAIL_PATTERN.test(email);
+}
+
 // Register
-app.post("/api/register", async (req, res) => {
+app.post("/api/register", accountLimiter, async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
-    console.log("📝 Register attempt:", { username, email });
-
     if (!username || !email || !password) {
       return res.status(400).json({ error: "Username, email, and password required" });
     }
 
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({ error: "Username must be 3-50 letters, digits, '_', '.' or '-'" });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: "A valid email address is required" });
+    }
+
+    console.log("📝 Register attempt:", { username, email });
+
+    const weakness = checkPassword(password, { username, email });
+    if (weakness) {
+      return res.status(400).json({ error: weakness });
+    }
+
     // Check if user exists
-    const userExists = await pool.query(
-      "SELECT * FROM users WHERE username = $1 OR email = $2",
-      [username, email]
-    );
+    const userExists = await storage.findUserByLogin(username, email);
 
-    if (userExists.rows.length > 0) {
+    if (userExists) {
       return res.status(400).json({ error: "Username or email already exists" });
     }
 
@@ -217,38 +541,22 @@ app.post("/api/register", async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Create user
-    const result = await pool.query(
-      "INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email",
-      [username, email, hashedPassword]
-    );
-
-    const user = result.rows[0];
+    const user = await storage.createUser({ username, email, passwordHash: hashedPassword });
     console.log("✅ User created:", user);
 
     // Create user settings
-    await pool.query(
-      "INSERT INTO window_settings (user_id) VALUES ($1)",
-      [user.id]
-    );
+    await storage.createSettings(user.id);
+    await audit("register", user, requestContext(req), { targetType: "user", targetId: user.id });
 
-    // Generate token
-    const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, {
-      expiresIn: "24h",
-    });
+    const verificationSent = await sendVerificationEmail(user, req);
 
-    // Store token hash in DB for revocation/checks
-    try {
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24h
-      await pool.query(
-        'INSERT INTO user_tokens (user_id, jti, token_hash, type, expires_at) VALUES ($1,$2,$3,$4,$5)',
-        [user.id, null, tokenHash, 'access', expiresAt]
-      );
-    } catch (e) {
-      console.warn('Failed to persist token after register:', e && e.message ? e.message : e);
+    // With REQUIRE_EMAIL_VERIFICATION the user signs in after following the link
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({ user: serializeUser(user), verificationSent });
     }
 
-    res.status(201).json({ user, token });
+    const session = await createSession(user, req);
+    res.status(201).json({ user: serializeUser(user), verificationSent, ...session });
   } catch (error) {
     console.error("❌ Register error:", error.message);
     console.error("Stack:", error.stack);
@@ -257,498 +565,4133 @@ app.post("/api/register", async (req, res) => {
 });
 
 // Login
-app.post("/api/login", async (req, res) => {
+app.post("/api/login", loginLimiter, async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    if (!username || !password) {
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
       return res.status(400).json({ error: "Username and password required" });
     }
 
     // Find user
-    const result = await pool.query(
-      "SELECT * FROM users WHERE username = $1",
-      [username]
-    );
+    const user = await storage.findUserByUsername(username);
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: "Invalid username or password" });
+    const lockedFor = loginLockout.lockedFor(loginLockKey(user, username));
+    if (lockedFor) {
+      return sendLockedOut(res, lockedFor);
     }
 
-    const user = result.rows[0];
+    if (!user) {
+      await recordLoginFailure(null, username, req, { reason: "unknown user" });
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
 
     // Compare passwords
     const passwordMatch = await bcrypt.compare(password, user.password_hash);
 
     if (!passwordMatch) {
+      await recordLoginFailure(user, username, req, { reason: "wrong password" });
       return res.status(401).json({ error: "Invalid username or password" });
     }
+    loginLockout.succeed(loginLockKey(user, username));
 
-    // Generate token
-    const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, {
-      expiresIn: "24h",
-    });
-
-    // Store token hash for revocation/checks
-    try {
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24h
-      await pool.query(
-        'INSERT INTO user_tokens (user_id, jti, token_hash, type, expires_at) VALUES ($1,$2,$3,$4,$5)',
-        [user.id, null, tokenHash, 'access', expiresAt]
-      );
-    } catch (e) {
-      console.warn('Failed to persist token after login:', e && e.message ? e.message : e);
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      await audit("login_failed", user, requestContext(req), { details: { username, reason: "email not verified" } });
+      return res.status(403).json({ error: "Email not verified" });
     }
 
-    res.json({
-      user: { id: user.id, username: user.username, email: user.email },
-      token,
-    });
+    const session = await createSession(user, req);
+    await audit("login", user, requestContext(req));
+
+    res.json({ user: serializeUser(user), ...session });
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get user settings
-app.get("/api/settings", authenticateToken, async (req, res) => {
+// Swap a refresh token for a new access token and refresh token. Using a
+// refresh token that has already been replaced revokes the whole session,
+// since one of the two holders is not the owner.
+app.post("/api/token/refresh", async (req, res) => {
+  const { refreshToken } = req.body || {};
+  const match = typeof refreshToken === "string" && /^(\d+)\.[0-9a-f]{64}$/.exec(refreshToken);
+  if (!match) {
+    return res.status(400).json({ error: "refreshToken required" });
+  }
+
   try {
-    const result = await pool.query(
-      "SELECT * FROM window_settings WHERE user_id = $1",
-      [req.user.id]
-    );
+    const session = await storage.findTokenById(Number(match[1]));
+    if (!session || session.type !== "refresh" || session.revoked || new Date(session.expires_at) < new Date()) {
+      return res.status(401).json({ error: "Session expired, please log in again" });
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Settings not found" });
+    if (session.token_hash !== hashToken(refreshToken)) {
+      console.warn("⚠️  Refresh token reused, revoking session", session.id);
+      await storage.revokeToken(session.id, null);
+      closeSessionSockets([session.id]);
+      return res.status(401).json({ error: "Session revoked, please log in again" });
+    }
+
+    const user = await storage.findUserById(session.user_id);
+    if (!user) {
+      return res.status(401).json({ error: "Session expired, please log in again" });
     }
 
-    res.json(result.rows[0]);
+    const nextToken = createRefreshToken(session.id);
+    const rotated = await storage.rotateToken(session.id, {
+      tokenHash: hashToken(nextToken),
+      expiresAt: refreshExpiry(),
+      ...clientInfo(req),
+    });
+    if (!rotated) {
+      return res.status(401).json({ error: "Session revoked, please log in again" });
+    }
+
+    res.json({
+      token: signAccessToken(user, session.id),
+      refreshToken: nextToken,
+      expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    });
   } catch (error) {
-    console.error("Settings error:", error);
+    console.error("Token refresh error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Update user settings
-app.put("/api/settings", authenticateToken, async (req, res) => {
+// End the current session (or the single token it was made with)
+app.post("/api/logout", authenticateToken, async (req, res) => {
   try {
-    const { auto_open_temp, auto_close_temp, auto_mode } = req.body;
-
-    const result = await pool.query(
-      "UPDATE window_settings SET auto_open_temp = $1, auto_close_temp = $2, auto_mode = $3, updated_at = CURRENT_TIMESTAMP WHERE user_id = $4 RETURNING *",
-      [auto_open_temp, auto_close_temp, auto_mode, req.user.id]
-    );
-
-    res.json(result.rows[0]);
+    await storage.revokeToken(req.tokenId, null);
+    closeSessionSockets([req.tokenId]);
+    await audit("logout", req.user, requestContext(req));
+    res.json({ message: "Logged out" });
   } catch (error) {
-    console.error("Settings update error:", error);
+    console.error("Logout error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// ===============================
-// Admin Routes
-// ===============================
-
-const ADMIN_USERNAME = "admin";
-const ADMIN_PASSWORD = "admin";
-
-// Admin login
-app.post("/api/admin/login", async (req, res) => {
-  const { username, password } = req.body;
+// The user's signed-in browsers
+app.get("/api/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await storage.listSessions(req.user.id);
+    res.json(sessions.map((session) => ({ ...session, current: session.id === req.tokenId })));
+  } catch (error) {
+    console.error("Sessions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-  if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-    const token = jwt.sign({ role: "admin", username }, JWT_SECRET, {
-      expiresIn: "8h",
-    });
-    // persist admin token
-    try {
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-      const expiresAt = new Date(Date.now() + 8 * 60 * 60 * 1000); // 8h
-      await pool.query(
-        'INSERT INTO user_tokens (user_id, jti, token_hash, type, expires_at) VALUES ($1,$2,$3,$4,$5)',
-        [null, null, tokenHash, 'admin', expiresAt]
-      );
-    } catch (e) {
-      console.warn('Failed to persist admin token:', e && e.message ? e.message : e);
+// Sign one of the user's browsers out
+app.delete("/api/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await storage.revokeToken(req.params.id, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
     }
-    return res.json({ token });
+    closeSessionSockets([revoked.id]);
+    res.json({ message: "Session revoked", id: revoked.id });
+  } catch (error) {
+    console.error("Session revoke error:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
-
-  res.status(401).json({ error: "Invalid admin credentials" });
 });
 
-// Admin middleware
-function authenticateAdmin(req, res, next) {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
+// ===============================
+// Email Verification & Password Reset
+// ===============================
 
-  if (!token) {
-    return res.status(401).json({ error: "Admin token required" });
-  }
+// Links in account mail open auth.html on PUBLIC_URL. The tokens in them
+// are user_tokens rows (only the hash is stored) that work once.
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, "");
+const EMAIL_VERIFY_TTL_HOURS = numberFromEnv("EMAIL_VERIFY_TTL_HOURS", 48);
+const PASSWORD_RESET_TTL_MINUTES = numberFromEnv("PASSWORD_RESET_TTL_MINUTES", 30);
+// Refuse sign-in until the email is verified (off by default, so accounts
+// made before verification existed keep working)
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === "true";
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err || decoded.role !== "admin") {
-      return res.status(403).json({ error: "Admin access denied" });
-    }
-    req.admin = decoded;
-    next();
+if (REQUIRE_EMAIL_VERIFICATION && !mailer.enabled) {
+  console.warn("⚠️  REQUIRE_EMAIL_VERIFICATION is on but SMTP_HOST is not set: new users cannot verify their email");
+}
+
+// Store a new single-use token of `type` for the user; resolves to the raw token
+async function issueAccountToken(user, type, ttlMs, req) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await storage.saveToken({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    type,
+    expiresAt: new Date(Date.now() + ttlMs),
+    ...clientInfo(req),
   });
+  return token;
 }
 
-// Get all users
-app.get("/api/admin/users", authenticateAdmin, async (req, res) => {
+// The live user_tokens row of `type` for a mailed token, or null when it is
+// unknown, used or expired
+async function findAccountToken(token, type) {
+  if (typeof token !== "string" || !/^[0-9a-f]{64}$/.test(token)) return null;
+  const row = await storage.findTokenByHash(hashToken(token));
+  if (!row || row.type !== type || row.revoked || new Date(row.expires_at) < new Date()) return null;
+  return row;
+}
+
+// Mail a verification link; resolves to false when it could not be sent
+async function sendVerificationEmail(user, req) {
+  if (!mailer.enabled) return false;
   try {
-    const result = await pool.query(
-      "SELECT id, username, email, created_at, updated_at FROM users ORDER BY id"
-    );
-    res.json(result.rows);
+    const token = await issueAccountToken(user, "email_verify", EMAIL_VERIFY_TTL_HOURS * 60 * 60 * 1000, req);
+    await mailer.send({
+      to: user.email,
+      subject: "Smart Window: confirm your email",
+      text: [
+        `Hi ${user.username},`,
+        "",
+        "Confirm your email address for Smart Window by opening this link:",
+        `${PUBLIC_URL}/auth.html?verify=${token}`,
+        "",
+        `The link works once and expires in ${EMAIL_VERIFY_TTL_HOURS} hours.`,
+      ].join("\n"),
+    });
+    return true;
   } catch (error) {
-    console.error("Admin get users error:", error);
-    res.status(500).json({ error: "Internal server error" });
+    console.warn(`⚠️  Verification email to ${user.email} not sent:`, error.message);
+    return false;
   }
-});
+}
 
-// Update user
-app.put("/api/admin/users/:id", authenticateAdmin, async (req, res) => {
+// Confirm an email address with the token from the verification link
+app.post("/api/email/verify", accountLimiter, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { username, email, password } = req.body;
-
-    // Check if user exists
-    const userExists = await pool.query("SELECT * FROM users WHERE id = $1", [id]);
-    if (userExists.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    // Check for duplicate username/email (excluding current user)
-    const duplicate = await pool.query(
-      "SELECT * FROM users WHERE (username = $1 OR email = $2) AND id != $3",
-      [username, email, id]
-    );
-    if (duplicate.rows.length > 0) {
-      return res.status(400).json({ error: "Username or email already exists" });
-    }
-
-    if (password) {
-      const hashedPassword = await bcrypt.hash(password, 10);
-      await pool.query(
-        "UPDATE users SET username = $1, email = $2, password_hash = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4",
-        [username, email, hashedPassword, id]
-      );
-    } else {
-      await pool.query(
-        "UPDATE users SET username = $1, email = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3",
-        [username, email, id]
-      );
+    const row = await findAccountToken((req.body || {}).token, "email_verify");
+    const claimed = row && (await storage.revokeToken(row.id, null));
+    const user = claimed && (await storage.findUserById(row.user_id));
+    if (!user) {
+      return res.status(400).json({ error: "Verification link is invalid or has expired" });
     }
 
-    res.json({ message: "User updated successfully" });
+    await storage.setEmailVerified(user.id, true);
+    await audit("email_verify", user, requestContext(req), { targetType: "user", targetId: user.id, details: { email: user.email } });
+    res.json({ message: "Email verified", email: user.email });
   } catch (error) {
-    console.error("Admin update user error:", error);
+    console.error("Email verify error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Delete user
-app.delete("/api/admin/users/:id", authenticateAdmin, async (req, res) => {
+// Send the signed-in user a new verification link
+app.post("/api/email/verify/resend", authenticateToken, accountLimiter, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const result = await pool.query("DELETE FROM users WHERE id = $1 RETURNING id, username", [id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+    const user = await storage.findUserById(req.user.id);
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: "Email already verified" });
+    }
+    if (!mailer.enabled) {
+      return res.status(503).json({ error: "Email is not configured on this server" });
     }
 
-    res.json({ message: "User deleted", user: result.rows[0] });
+    // Only the newest link works
+    await storage.revokeUserTokens(user.id, "email_verify");
+    if (!(await sendVerificationEmail(user, req))) {
+      return res.status(502).json({ error: "Could not send the email, try again later" });
+    }
+    res.json({ message: "Verification email sent", email: user.email });
   } catch (error) {
-    console.error("Admin delete user error:", error);
+    console.error("Verification resend error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get sensor data from Firebase or system state
-app.get("/api/sensor-data", async (req, res) => {
-  try {
-    if (db) {
-      const data = await Promise.race([
-        db.ref("current_state").once("value"),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Timeout")), 2000)
-        ),
-      ]).then(snapshot => snapshot.val());
-      return res.json(data || systemState);
-    }
-    res.json(systemState);
-  } catch (error) {
-    console.warn("⚠️  Firebase unavailable, returning system state");
-    res.json(systemState);
+// Mail a password reset link. The answer is the same whether or not the
+// address belongs to an account.
+app.post("/api/password/forgot", accountLimiter, async (req, res) => {
+  const { email } = req.body || {};
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: "A valid email address is required" });
+  }
+  if (!mailer.enabled) {
+    return res.status(503).json({ error: "Email is not configured on this server" });
   }
-});
 
-// Get sensor logs from Firebase
-app.get("/api/sensor-logs", async (req, res) => {
   try {
-    if (db) {
-      const data = await Promise.race([
-        db.ref("logs/sensor_data").once("value"),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Timeout")), 3000)
-        ),
-      ]).then(snapshot => snapshot.val());
-      const logs = data ? Object.entries(data).map(([timestamp, value]) => ({ 
-        timestamp: timestamp.replace(/_/g, "."),
-        ...value 
-      })) : [];
-      return res.json(logs);
+    const user = await storage.findUserByLogin(null, email);
+    if (user) {
+      await storage.revokeUserTokens(user.id, "password_reset");
+      const token = await issueAccountToken(user, "password_reset", PASSWORD_RESET_TTL_MINUTES * 60 * 1000, req);
+      await audit("password_reset_request", user, requestContext(req), { targetType: "user", targetId: user.id });
+      // Not awaited, so the response time does not tell whether the address is known
+      mailer.send({
+        to: user.email,
+        subject: "Smart Window: reset your password",
+        text: [
+          `Hi ${user.username},`,
+          "",
+          "Someone asked to reset the password of your Smart Window account. To choose a new one, open:",
+          `${PUBLIC_URL}/auth.html?reset=${token}`,
+          "",
+          `The link works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.`,
+          "If it was not you, ignore this email; your password stays the same.",
+        ].join("\n"),
+      }).catch((error) => {
+        console.warn(`⚠️  Password reset email to ${user.email} not sent:`, error.message);
+      });
     }
-    res.json([]);
+    res.json({ message: "If that address has an account, a reset link is on its way" });
   } catch (error) {
-    console.warn("⚠️  Firebase unavailable, returning empty logs");
-    res.json([]);
+    console.error("Password forgot error:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get command logs from Firebase
-app.get("/api/command-logs", async (req, res) => {
+// Set a new password with the token from the reset link. Every session of
+// the user is signed out.
+app.post("/api/password/reset", accountLimiter, async (req, res) => {
+  const { token, password } = req.body || {};
+
   try {
-    if (db) {
-      const data = await Promise.race([
-        db.ref("logs/commands").once("value"),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Timeout")), 3000)
-        ),
-      ]).then(snapshot => snapshot.val());
-      const logs = data ? Object.entries(data).reverse().slice(0, 20).map(([timestamp, value]) => ({ 
-        timestamp: timestamp.replace(/_/g, "."),
-        ...value 
-      })) : [];
-      return res.json(logs);
+    const row = await findAccountToken(token, "password_reset");
+    const user = row && (await storage.findUserById(row.user_id));
+    if (!user) {
+      return res.status(400).json({ error: "Reset link is invalid or has expired" });
     }
-    res.json([]);
-  } catch (error) {
-    console.warn("⚠️  Firebase unavailable");
-    res.json([]);
-  }
-});
 
-app.get("/api/last-command", async (req, res) => {
-  try {
-    if (db) {
-      const data = await Promise.race([
-        db.ref("logs/commands").orderByChild("$key").limitToLast(1).once("value"),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Timeout")), 2000)
-        ),
-      ]).then(snapshot => snapshot.val());
-      const lastCmd = data ? Object.values(data)[0] : null;
-      return res.json(lastCmd || { command: null, timestamp: null });
+    const weakness = checkPassword(password, user);
+    if (weakness) {
+      return res.status(400).json({ error: weakness });
     }
-    res.json({ command: null, timestamp: null });
+
+    if (!(await storage.revokeToken(row.id, null))) {
+      return res.status(400).json({ error: "Reset link is invalid or has expired" });
+    }
+
+    await storage.updateUser(user.id, {
+      username: user.username,
+      email: user.email,
+      passwordHash: await bcrypt.hash(password, 10),
+    });
+    // The link reached the user's mailbox
+    if (!user.email_verified_at) {
+      await storage.setEmailVerified(user.id, true);
+    }
+
+    const revoked = await storage.revokeUserTokens(user.id);
+    closeSessionSockets(revoked);
+    loginLockout.succeed(loginLockKey(user));
+    await audit("password_reset", user, requestContext(req), {
+      targetType: "user",
+      targetId: user.id,
+      details: { sessionsRevoked: revoked.length },
+    });
+
+    res.json({ message: "Password changed, please log in" });
+  } catch (error) {
+    console.error("Password reset error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get user settings
+app.get("/api/settings", authenticateToken, async (req, res) => {
+  try {
+    const settings = await storage.getSettings(req.user.id);
+
+    if (!settings) {
+      return res.status(404).json({ error: "Settings not found" });
+    }
+
+    res.json(settings);
+  } catch (error) {
+    console.error("Settings error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Allowed ranges of the numeric settings. light_threshold is the raw ADC
+// reading the firmware compares; day_lux / night_lux are calibrated lux for
+// the dashboard's day/night label.
+const SETTING_RANGES = {
+  auto_open_temp: [-20, 60],
+  auto_close_temp: [-20, 60],
+  light_threshold: [0, 4095],
+  day_lux: [0, 200000],
+  night_lux: [0, 200000],
+  weather_max_wind: [0, 200], // km/h, 0 = no wind limit
+};
+const INTEGER_SETTINGS = ["light_threshold", "day_lux", "night_lux"];
+const BOOLEAN_SETTINGS = ["auto_mode", "weather_enabled", "weather_close_on_rain", "weather_close_when_warmer"];
+
+// Validate a settings body; returns { error } or { value }. Fields left
+// out keep their `stored` value, so the ordered pairs are checked on the
+// stored settings with the changes applied.
+function parseSettings(body, stored) {
+  const value = {};
+  for (const [name, [min, max]] of Object.entries(SETTING_RANGES)) {
+    if (body[name] == null) continue;
+    const number = body[name];
+    if (typeof number !== "number" || !Number.isFinite(number) || number < min || number > max) {
+      return { error: `${name} must be a number from ${min} to ${max}` };
+    }
+    value[name] = INTEGER_SETTINGS.includes(name) ? Math.round(number) : number;
+  }
+  for (const name of BOOLEAN_SETTINGS) {
+    if (body[name] == null) continue;
+    if (typeof body[name] !== "boolean") {
+      return { error: `${name} must be true or false` };
+    }
+    value[name] = body[name];
+  }
+  const merged = { ...stored, ...value };
+  // NUMERIC columns come back from PostgreSQL as strings
+  const above = (low, high) => merged[low] != null && merged[high] != null && Number(merged[low]) > Number(merged[high]);
+  if (above("auto_close_temp", "auto_open_temp")) {
+    return { error: "auto_close_temp must not be above auto_open_temp" };
+  }
+  if (above("night_lux", "day_lux")) {
+    return { error: "night_lux must not be above day_lux" };
+  }
+  return { value };
+}
+
+// Update user settings
+app.put("/api/settings", authenticateToken, requirePermission("settings:write"), async (req, res) => {
+  try {
+    const parsed = parseSettings(req.body, await storage.getSettings(req.user.id));
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const settings = await storage.updateSettings(req.user.id, parsed.value);
+
+    if (!settings) {
+      return res.status(404).json({ error: "Settings not found" });
+    }
+
+    await audit("settings_update", req.user, requestContext(req), {
+      targetType: "settings",
+      targetId: req.user.id,
+      details: parsed.value,
+    });
+
+    // Push the new thresholds to this user's windows
+    [...devices.values()]
+      .filter((device) => device.ownerId != null && String(device.ownerId) === String(req.user.id))
+      .forEach((device) => pushDeviceConfig(device.id));
+
+    res.json(settings);
+  } catch (error) {
+    console.error("Settings update error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ===============================
+// Device Routes
+// ===============================
+
+// List devices visible to the current user
+app.get("/api/devices", authenticateToken, (req, res) => {
+  const visible = [...devices.values()]
+    .filter(device => canAccessDevice(req.user, device))
+    .map(serializeDevice);
+  res.json(visible);
+});
+
+// Register a new device for the current user, or re-register one they own
+// (admins: any device). Issues a new API key for the controller; any socket
+// using the old key is disconnected.
+app.post("/api/devices", authenticateToken, requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const { id, name } = req.body;
+
+    if (!isValidDeviceId(id)) {
+      return res.status(400).json({ error: "Device ID must be 1-64 letters, digits, '-' or '_'" });
+    }
+    if (name != null && (typeof name !== "string" || name.length > 100)) {
+      return res.status(400).json({ error: "Name must be a string of at most 100 characters" });
+    }
+
+    const existing = devices.get(id);
+    const isAdmin = req.user.role === "admin";
+    if (existing && !isAdmin && String(existing.ownerId) !== String(req.user.id)) {
+      return res.status(409).json({ error: "Device already registered" });
+    }
+
+    // Re-registering keeps the owner, also when an admin does it
+    const ownerId = existing ? existing.ownerId : isAdmin ? null : req.user.id;
+    const saved = await storage.saveDevice({ id, name: name || id, ownerId });
+
+    const device = getDevice(id);
+    device.name = saved.name;
+    device.ownerId = saved.owner_id;
+
+    const apiKey = await issueDeviceKey(id);
+
+    res.status(existing ? 200 : 201).json({ ...serializeDevice(device), apiKey });
+  } catch (error) {
+    console.error("Device register error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Rotate a device's API key (owner or admin only). The key is only shown once.
+app.post("/api/devices/:id/key", authenticateToken, requirePermission("devices:manage"), async (req, res) => {
+  const device = devices.get(req.params.id);
+  if (!device || !canAccessDevice(req.user, device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  if (req.user.role !== "admin" && String(device.ownerId) !== String(req.user.id)) {
+    return res.status(403).json({ error: "Only the device owner can issue keys" });
+  }
+
+  try {
+    const apiKey = await issueDeviceKey(device.id);
+    res.json({ deviceId: device.id, apiKey });
+  } catch (error) {
+    console.error("Device key error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the latest state of one device
+app.get("/api/devices/:id/state", authenticateToken, (req, res) => {
+  const device = devices.get(req.params.id);
+  if (!device || !canAccessDevice(req.user, device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  res.json({
+    deviceId: device.id,
+    ...device.state,
+    ...deviceLiveness(device, device.state.timestamp),
+    sensorFault: sensorFilter.faultOf(device.id),
+    weatherHold: device.weatherHold,
+  });
+});
+
+// Online time over a range (default last 24 hours) with the connect and
+// disconnect events in it
+app.get("/api/devices/:id/uptime", authenticateToken, async (req, res) => {
+  const device = devices.get(req.params.id);
+  if (!device || !canAccessDevice(req.user, device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+
+  const range = parseTimeRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const from = range.from;
+  const to = new Date(Math.min(range.to.getTime(), Date.now()));
+  if (from >= to) {
+    return res.status(400).json({ error: "from must be in the past" });
+  }
+
+  try {
+    const events = await storage.listDeviceEvents(device.id, from, to);
+    res.json({
+      deviceId: device.id,
+      online: isDeviceOnline(device.id),
+      lastSeen: device.lastSeen,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      ...computeUptime(events, from, to),
+      events: events
+        .filter((entry) => new Date(entry.created_at) >= from)
+        .map((entry) => ({ event: entry.event, reason: entry.reason, timestamp: entry.created_at })),
+    });
+  } catch (error) {
+    console.error("Uptime error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Send OPEN / CLOSE / AUTO to one device and wait for the device's ACK
+app.post("/api/devices/:id/command", authenticateToken, requirePermission("devices:control"), async (req, res) => {
+  const device = devices.get(req.params.id);
+  if (!device || !canAccessDevice(req.user, device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+
+  if (!canControlDevice(req.user, device)) {
+    return res.status(403).json({ error: "Your role cannot send commands to this device" });
+  }
+
+  const { command } = req.body;
+  if (!DEVICE_COMMANDS.includes(command)) {
+    return res.status(400).json({ error: "Command must be one of " + DEVICE_COMMANDS.join(", ") });
+  }
+
+  const waitMs = commandCooldownMs(device.id);
+  if (waitMs > 0) {
+    res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+    return res.status(429).json({ error: cooldownMessage(waitMs) });
+  }
+
+  const result = await sendDeviceCommand(device.id, command, "api", null, { user: req.user, ...clientInfo(req) });
+  res.status(COMMAND_STATUS_HTTP[result.status] || 500).json({ ...result, state: device.state });
+});
+
+// Share a device with one of the owner's households, or stop sharing it
+// (householdId null)
+app.put("/api/devices/:id/household", authenticateToken, requirePermission("households:manage"), async (req, res) => {
+  const device = devices.get(req.params.id);
+  if (!device || !canAccessDevice(req.user, device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  if (deviceRole(req.user, device) !== "owner" && req.user.role !== "admin") {
+    return res.status(403).json({ error: "Only the device owner can share it" });
+  }
+
+  const { householdId } = req.body;
+  if (householdId != null && !(Number.isInteger(householdId) && householdId > 0)) {
+    return res.status(400).json({ error: "householdId must be a household ID or null" });
+  }
+  if (householdId != null && householdRole(req.user, householdId) !== "owner" && req.user.role !== "admin") {
+    return res.status(400).json({ error: "You can only share devices with a household you own" });
+  }
+
+  try {
+    if (householdId != null && !(await findHousehold(householdId))) {
+      return res.status(404).json({ error: "Household not found" });
+    }
+    const saved = await storage.setDeviceHousehold(device.id, householdId ?? null);
+    device.householdId = saved ? saved.household_id : null;
+    res.json(serializeDevice(device));
+  } catch (error) {
+    console.error("Device household error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Sensor calibration profile of a device (see lib/calibration.js)
+app.get("/api/devices/:id/calibration", authenticateToken, (req, res) => {
+  const device = devices.get(req.params.id);
+  if (!device || !canAccessDevice(req.user, device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  res.json({
+    deviceId: device.id,
+    calibrated: device.calibration != null,
+    ...(device.calibration || DEFAULT_CALIBRATION),
+    state: { ...device.state },
+  });
+});
+
+// Store a device's profile (null = default) and answer the request
+async function saveCalibration(req, res, profile) {
+  const device = devices.get(req.params.id);
+  if (!device || !canAccessDevice(req.user, device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  if (req.user.role !== "admin" && String(device.ownerId) !== String(req.user.id)) {
+    return res.status(403).json({ error: "Only the device owner can calibrate it" });
+  }
+
+  try {
+    await storage.setDeviceCalibration(device.id, profile);
+    device.calibration = profile;
+    await audit("device_calibrate", req.user, requestContext(req), {
+      targetType: "device",
+      targetId: device.id,
+      details: profile || { reset: true },
+    });
+
+    // The AUTO temperatures sent to the device depend on its offset
+    pushDeviceConfig(device.id);
+
+    res.json({ deviceId: device.id, calibrated: profile != null, ...(profile || DEFAULT_CALIBRATION) });
+  } catch (error) {
+    console.error("Device calibration error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+// Replace the profile (owner or admin only); fields left out take the
+// default. DELETE goes back to the default profile. New readings use it
+// from now on; stored ones are not recalculated.
+app.put("/api/devices/:id/calibration", authenticateToken, requirePermission("devices:manage"), (req, res) => {
+  const parsed = parseCalibration(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  saveCalibration(req, res, parsed.value);
+});
+
+app.delete("/api/devices/:id/calibration", authenticateToken, requirePermission("devices:manage"), (req, res) => {
+  saveCalibration(req, res, null);
+});
+
+// ===============================
+// Household Routes
+// ===============================
+
+// An owner shares windows with family members. Everyone in a household sees
+// its devices; members may control them, viewers only watch. People join
+// through invitations, by email or with a code.
+
+const HOUSEHOLD_ROLES = ["member", "viewer"]; // roles that can be given; the creator is the owner
+const INVITATION_TTL_DAYS = numberFromEnv("INVITATION_TTL_DAYS", 7);
+
+async function findHousehold(id) {
+  const households = await storage.listHouseholds();
+  return households.find((household) => String(household.id) === String(id)) || null;
+}
+
+// Loads the household for `:id` into req.household when the user may see it
+// (is a member, or an admin) and, with `ownerOnly`, manage it
+function loadHousehold(ownerOnly) {
+  return async (req, res, next) => {
+    try {
+      const household = await findHousehold(req.params.id);
+      const role = req.user.role === "admin" ? "owner" : householdRole(req.user, req.params.id);
+      if (!household || !role) {
+        return res.status(404).json({ error: "Household not found" });
+      }
+      if (ownerOnly && role !== "owner") {
+        return res.status(403).json({ error: "Only the household owner can do this" });
+      }
+      req.household = household;
+      next();
+    } catch (error) {
+      console.error("Household lookup error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+function serializeHousehold(household, user, members) {
+  return {
+    id: household.id,
+    name: household.name,
+    ownerId: household.owner_id,
+    role: householdRole(user, household.id) || (user.role === "admin" ? "admin" : null),
+    members: members.map((member) => ({
+      userId: member.user_id,
+      username: member.username,
+      role: member.role,
+      joinedAt: member.joined_at,
+    })),
+    devices: [...devices.values()]
+      .filter((device) => String(device.householdId) === String(household.id))
+      .map((device) => device.id),
+  };
+}
+
+// Tell the invitee: on their own channels if they have an account, else by email
+async function sendInvitation(invitation, household, inviter) {
+  const vars = {
+    household: household.name,
+    inviter: inviter.username,
+    role: invitation.role,
+    code: invitation.code,
+    expires: formatNotificationTime(new Date(invitation.expires_at)),
+  };
+  const invitee = await storage.findUserByLogin(null, invitation.email);
+  if (invitee) {
+    await notifyUser(invitee.id, "invitation", vars);
+  } else {
+    const [result] = await notifier.notify({ channels: ["email"], email: invitation.email }, buildMessage("invitation", vars));
+    if (result.status !== "sent") {
+      console.warn(`⚠️  Invitation email to ${invitation.email} not sent:`, result.error);
+    }
+  }
+}
+
+// Households the user belongs to (every household for admins)
+app.get("/api/households", authenticateToken, async (req, res) => {
+  try {
+    const [households, members] = await Promise.all([storage.listHouseholds(), storage.listHouseholdMembers(null)]);
+    res.json(
+      households
+        .filter((household) => req.user.role === "admin" || householdRole(req.user, household.id))
+        .map((household) =>
+          serializeHousehold(household, req.user, members.filter((m) => String(m.household_id) === String(household.id)))
+        )
+    );
+  } catch (error) {
+    console.error("Households error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create a household; the creator is its owner
+app.post("/api/households", authenticateToken, requirePermission("households:manage"), async (req, res) => {
+  const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+  if (!name || name.length > 100) {
+    return res.status(400).json({ error: "Name must be 1-100 characters" });
+  }
+
+  try {
+    const household = await storage.createHousehold({ name, ownerId: req.user.id });
+    setHouseholdRole(req.user.id, household.id, "owner");
+    res.status(201).json(serializeHousehold(household, req.user, await storage.listHouseholdMembers(household.id)));
+  } catch (error) {
+    console.error("Household create error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete a household; its devices go back to their owners only
+app.delete("/api/households/:id", authenticateToken, loadHousehold(true), async (req, res) => {
+  try {
+    const members = await storage.listHouseholdMembers(req.household.id);
+    await storage.deleteHousehold(req.household.id);
+    members.forEach((member) => setHouseholdRole(member.user_id, req.household.id, null));
+    devices.forEach((device) => {
+      if (String(device.householdId) === String(req.household.id)) device.householdId = null;
+    });
+    res.json({ message: "Household deleted", id: req.household.id });
+  } catch (error) {
+    console.error("Household delete error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Change a member's role (owner only)
+app.put("/api/households/:id/members/:userId", authenticateToken, loadHousehold(true), async (req, res) => {
+  const { role } = req.body;
+  if (!HOUSEHOLD_ROLES.includes(role)) {
+    return res.status(400).json({ error: "Role must be one of " + HOUSEHOLD_ROLES.join(", ") });
+  }
+  if (String(req.params.userId) === String(req.household.owner_id)) {
+    return res.status(400).json({ error: "The owner's role cannot be changed" });
+  }
+
+  try {
+    const members = await storage.listHouseholdMembers(req.household.id);
+    if (!members.some((member) => String(member.user_id) === String(req.params.userId))) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    const member = await storage.saveHouseholdMember(req.household.id, req.params.userId, role);
+    setHouseholdRole(member.user_id, req.household.id, role);
+    res.json({ householdId: req.household.id, userId: member.user_id, role });
+  } catch (error) {
+    console.error("Household member update error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Remove a member (owner), or leave the household (any member)
+app.delete("/api/households/:id/members/:userId", authenticateToken, loadHousehold(false), async (req, res) => {
+  const leaving = String(req.params.userId) === String(req.user.id);
+  if (!leaving && req.user.role !== "admin" && householdRole(req.user, req.household.id) !== "owner") {
+    return res.status(403).json({ error: "Only the household owner can remove members" });
+  }
+  if (String(req.params.userId) === String(req.household.owner_id)) {
+    return res.status(400).json({ error: "The owner cannot leave; delete the household instead" });
+  }
+
+  try {
+    const removed = await storage.removeHouseholdMember(req.household.id, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    // Their dashboards stop getting this household's windows right away
+    setHouseholdRole(removed.user_id, req.household.id, null);
+    res.json({ message: leaving ? "Left household" : "Member removed", userId: removed.user_id });
+  } catch (error) {
+    console.error("Household member remove error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Invite someone (owner only). Without an email the code is the invitation;
+// hand it over any way you like.
+app.post("/api/households/:id/invitations", authenticateToken, loadHousehold(true), async (req, res) => {
+  const { email } = req.body;
+  const role = req.body.role || "member";
+  if (!HOUSEHOLD_ROLES.includes(role)) {
+    return res.status(400).json({ error: "Role must be one of " + HOUSEHOLD_ROLES.join(", ") });
+  }
+  if (email != null && !isValidEmail(email)) {
+    return res.status(400).json({ error: "Invalid email" });
+  }
+
+  try {
+    const invitation = await storage.createInvitation({
+      householdId: req.household.id,
+      email: email || null,
+      code: crypto.randomBytes(6).toString("hex").toUpperCase(),
+      role,
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    if (invitation.email) {
+      sendInvitation(invitation, req.household, req.user).catch((error) =>
+        console.warn("⚠️  Failed to send invitation:", error.message)
+      );
+    }
+    res.status(201).json(invitation);
+  } catch (error) {
+    console.error("Invitation create error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Pending invitations of a household (owner only)
+app.get("/api/households/:id/invitations", authenticateToken, loadHousehold(true), async (req, res) => {
+  try {
+    res.json(await storage.listInvitations({ householdId: req.household.id }));
+  } catch (error) {
+    console.error("Invitations error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Withdraw an invitation (owner only)
+app.delete("/api/households/:id/invitations/:invitationId", authenticateToken, loadHousehold(true), async (req, res) => {
+  try {
+    const pending = await storage.listInvitations({ householdId: req.household.id });
+    const invitation = pending.find((entry) => String(entry.id) === String(req.params.invitationId));
+    if (!invitation) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+    await storage.respondToInvitation(invitation.id, "revoked");
+    res.json({ message: "Invitation revoked", id: invitation.id });
+  } catch (error) {
+    console.error("Invitation revoke error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Pending invitations sent to the user's email
+app.get("/api/invitations", authenticateToken, async (req, res) => {
+  try {
+    const [user, households] = await Promise.all([storage.findUserById(req.user.id), storage.listHouseholds()]);
+    const invitations = await storage.listInvitations({ email: user.email });
+    res.json(invitations.map((invitation) => ({
+      ...invitation,
+      household: (households.find((h) => String(h.id) === String(invitation.household_id)) || {}).name || null,
+    })));
+  } catch (error) {
+    console.error("Invitations error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Accept or decline an invitation by its code
+app.post("/api/invitations/:code/:answer(accept|decline)", authenticateToken, accountLimiter, async (req, res) => {
+  try {
+    const invitation = await storage.findInvitationByCode(String(req.params.code).toUpperCase());
+    if (!invitation || invitation.status !== "pending" || new Date(invitation.expires_at) < new Date()) {
+      return res.status(404).json({ error: "Invitation not found or no longer valid" });
+    }
+
+    const user = await storage.findUserById(req.user.id);
+    if (invitation.email && invitation.email.toLowerCase() !== String(user.email).toLowerCase()) {
+      return res.status(403).json({ error: "This invitation is for someone else" });
+    }
+    if (householdRole(req.user, invitation.household_id)) {
+      return res.status(409).json({ error: "You are already in this household" });
+    }
+
+    const accepted = req.params.answer === "accept";
+    const answered = await storage.respondToInvitation(invitation.id, accepted ? "accepted" : "declined");
+    if (!answered) {
+      return res.status(404).json({ error: "Invitation not found or no longer valid" });
+    }
+
+    if (accepted) {
+      await storage.saveHouseholdMember(invitation.household_id, req.user.id, invitation.role);
+      setHouseholdRole(req.user.id, invitation.household_id, invitation.role);
+    }
+    res.json({ message: accepted ? "Joined household" : "Invitation declined", householdId: invitation.household_id, role: invitation.role });
+  } catch (error) {
+    console.error("Invitation answer error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ===============================
+// Schedule Routes
+// ===============================
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate a schedule body; returns { error } or { value }
+function parseSchedule(body, user) {
+  const { deviceId, command, time, days, timezone, enabled } = body;
+
+  const device = devices.get(deviceId);
+  if (!device || !canAccessDevice(user, device)) {
+    return { error: "Device not found" };
+  }
+  if (!canControlDevice(user, device)) {
+    return { error: "Your role cannot send commands to this device" };
+  }
+  if (!DEVICE_COMMANDS.includes(command)) {
+    return { error: "Command must be one of " + DEVICE_COMMANDS.join(", ") };
+  }
+  if (typeof time !== "string" || !TIME_OF_DAY_PATTERN.test(time)) {
+    return { error: "Time must be HH:MM (24h)" };
+  }
+
+  const daysOfWeek = days === undefined ? [0, 1, 2, 3, 4, 5, 6] : days;
+  if (
+    !Array.isArray(daysOfWeek) ||
+    daysOfWeek.length === 0 ||
+    !daysOfWeek.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+  ) {
+    return { error: "Days must be a non-empty list of 0-6 (0 = Sunday)" };
+  }
+
+  const tz = timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(tz)) {
+    return { error: "Unknown timezone: " + tz };
+  }
+
+  return {
+    value: {
+      deviceId,
+      command,
+      time,
+      days: [...new Set(daysOfWeek)].sort(),
+      timezone: tz,
+      enabled: enabled !== false,
+    },
+  };
+}
+
+// Admins see everyone's schedules and rules (null = no owner filter);
+// users see their own
+function ownerFilter(user) {
+  return user.role === "admin" ? null : user.id;
+}
+
+// List schedules
+app.get("/api/schedules", authenticateToken, async (req, res) => {
+  try {
+    res.json(await storage.listSchedules(ownerFilter(req.user)));
+  } catch (error) {
+    console.error("Schedules error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create a schedule
+app.post("/api/schedules", authenticateToken, requirePermission("schedules:write"), async (req, res) => {
+  const { error, value } = parseSchedule(req.body, req.user);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    // last_run_at starts at "now" so creating a schedule never triggers a catch-up run
+    const schedule = await storage.createSchedule({ ...value, userId: req.user.id || null });
+    res.status(201).json(schedule);
+  } catch (error) {
+    console.error("Schedule create error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update a schedule
+app.put("/api/schedules/:id", authenticateToken, requirePermission("schedules:write"), async (req, res) => {
+  const { error, value } = parseSchedule(req.body, req.user);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    // Occurrences before the edit are not caught up
+    const schedule = await storage.updateSchedule(req.params.id, ownerFilter(req.user), value);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    res.json(schedule);
+  } catch (error) {
+    console.error("Schedule update error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete a schedule
+app.delete("/api/schedules/:id", authenticateToken, requirePermission("schedules:write"), async (req, res) => {
+  try {
+    const deleted = await storage.deleteSchedule(req.params.id, ownerFilter(req.user));
+    if (!deleted) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    res.json({ message: "Schedule deleted", id: deleted.id });
+  } catch (error) {
+    console.error("Schedule delete error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ===============================
+// Alert Routes
+// ===============================
+
+const ALERT_HISTORY_DEFAULT_LIMIT = 50;
+const ALERT_HISTORY_MAX_LIMIT = 500;
+
+// Validate an alert rule body; returns { error } or { value } (column names)
+function parseAlertRule(body, user) {
+  const { deviceId, name, metric, operator, threshold, windowState, timezone, enabled } = body;
+
+  const device = devices.get(deviceId);
+  if (!device || !canAccessDevice(user, device)) {
+    return { error: "Device not found" };
+  }
+  if (!ALERT_METRICS.includes(metric)) {
+    return { error: "Metric must be one of " + ALERT_METRICS.join(", ") };
+  }
+  if (name != null && (typeof name !== "string" || name.length > 100)) {
+    return { error: "Name must be a string of at most 100 characters" };
+  }
+
+  const value = {
+    device_id: deviceId,
+    name: name || null,
+    metric,
+    operator: null,
+    threshold: null,
+    window_state: null,
+    enabled: enabled !== false,
+  };
+
+  if (metric === "temperature" || metric === "light") {
+    if (!ALERT_OPERATORS.includes(operator)) {
+      return { error: "Operator must be one of " + ALERT_OPERATORS.join(", ") };
+    }
+    if (typeof threshold !== "number" || !Number.isFinite(threshold)) {
+      return { error: "Threshold must be a number" };
+    }
+    value.operator = operator;
+    value.threshold = threshold;
+  } else if (metric === "window") {
+    if (!["OPEN", "CLOSE"].includes(windowState)) {
+      return { error: "windowState must be OPEN or CLOSE" };
+    }
+    value.window_state = windowState;
+  }
+
+  const numbers = { hysteresis: 0, durationMinutes: 0, cooldownMinutes: 15 };
+  for (const [field, fallback] of Object.entries(numbers)) {
+    const number = body[field] === undefined ? fallback : body[field];
+    if (typeof number !== "number" || !(number >= 0)) {
+      return { error: `${field} must be a number >= 0` };
+    }
+    numbers[field] = number;
+  }
+  value.hysteresis = numbers.hysteresis;
+  value.duration_minutes = Math.round(numbers.durationMinutes);
+  value.cooldown_minutes = Math.round(numbers.cooldownMinutes);
+
+  // Optional HH:MM ranges; both ends or neither
+  const ranges = [["activeFrom", "activeTo", "active_from", "active_to"], ["quietStart", "quietEnd", "quiet_start", "quiet_end"]];
+  for (const [fromField, toField, fromColumn, toColumn] of ranges) {
+    const from = body[fromField] || null;
+    const to = body[toField] || null;
+    if (Boolean(from) !== Boolean(to)) {
+      return { error: `${fromField} and ${toField} must be set together` };
+    }
+    if (from && (!TIME_OF_DAY_PATTERN.test(from) || !TIME_OF_DAY_PATTERN.test(to))) {
+      return { error: `${fromField} and ${toField} must be HH:MM (24h)` };
+    }
+    value[fromColumn] = from;
+    value[toColumn] = to;
+  }
+
+  value.timezone = timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(value.timezone)) {
+    return { error: "Unknown timezone: " + value.timezone };
+  }
+
+  if (!value.name) {
+    value.name = metric === "window" ? `Window ${windowState}`
+      : metric === "offline" ? "Device offline"
+      : `${metric} ${operator} ${threshold}`;
+  }
+
+  return { value };
+}
+
+// List alert rules
+app.get("/api/alerts/rules", authenticateToken, async (req, res) => {
+  try {
+    res.json(await storage.listAlertRules(ownerFilter(req.user)));
+  } catch (error) {
+    console.error("Alert rules error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create an alert rule
+app.post("/api/alerts/rules", authenticateToken, requirePermission("alerts:write"), async (req, res) => {
+  const { error, value } = parseAlertRule(req.body, req.user);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const rule = await storage.createAlertRule(req.user.id || null, value);
+    await loadAlertRules();
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error("Alert rule create error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update an alert rule; its evaluation starts over
+app.put("/api/alerts/rules/:id", authenticateToken, requirePermission("alerts:write"), async (req, res) => {
+  const { error, value } = parseAlertRule(req.body, req.user);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const rule = await storage.updateAlertRule(req.params.id, ownerFilter(req.user), value);
+    if (!rule) {
+      return res.status(404).json({ error: "Alert rule not found" });
+    }
+    alertRules.delete(rule.id);
+    await loadAlertRules();
+    res.json(rule);
+  } catch (error) {
+    console.error("Alert rule update error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete an alert rule
+app.delete("/api/alerts/rules/:id", authenticateToken, requirePermission("alerts:write"), async (req, res) => {
+  try {
+    const deleted = await storage.deleteAlertRule(req.params.id, ownerFilter(req.user));
+    if (!deleted) {
+      return res.status(404).json({ error: "Alert rule not found" });
+    }
+    await loadAlertRules();
+    res.json({ message: "Alert rule deleted", id: deleted.id });
+  } catch (error) {
+    console.error("Alert rule delete error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Fired alerts, newest first
+app.get("/api/alerts/history", authenticateToken, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || ALERT_HISTORY_DEFAULT_LIMIT, ALERT_HISTORY_MAX_LIMIT);
+  try {
+    res.json(await storage.listAlertHistory(ownerFilter(req.user), limit));
+  } catch (error) {
+    console.error("Alert history error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ===============================
+// Notification Routes
+// ===============================
+
+const TEMPLATE_MAX_LENGTH = 1000;
+
+// Validate a preferences body; returns { error } or { value } (column names).
+// There is no email address or Telegram chat to set: the email channel
+// always uses the account's verified address, and chats are linked from
+// Telegram with a one-time code (see the Telegram Bot section).
+function parseNotificationPreferences(body) {
+  const { channels, webhookUrl, templates } = body;
+
+  if (!Array.isArray(channels) || channels.some((channel) => !NOTIFICATION_CHANNELS.includes(channel))) {
+    return { error: "channels must be a list of " + NOTIFICATION_CHANNELS.join(", ") };
+  }
+
+  const value = {
+    channels: [...new Set(channels)],
+    webhook_url: webhookUrl || null,
+    email: null,
+    templates: {},
+  };
+
+  // Event -> text template; empty means the default text
+  for (const [event, template] of Object.entries(templates || {})) {
+    if (!DEFAULT_TEMPLATES[event]) {
+      return { error: "Templates can be set for " + Object.keys(DEFAULT_TEMPLATES).join(", ") };
+    }
+    if (typeof template !== "string" || template.length > TEMPLATE_MAX_LENGTH) {
+      return { error: `templates.${event} must be a string of at most ${TEMPLATE_MAX_LENGTH} characters` };
+    }
+    if (template.trim()) value.templates[event] = template;
+  }
+
+  // A channel without an address would never deliver
+  if (value.channels.includes("webhook") && !value.webhook_url) {
+    return { error: "The webhook channel needs an address" };
+  }
+
+  return { value };
+}
+
+// Current preferences, plus the channels this server has configured
+app.get("/api/notifications/preferences", authenticateToken, async (req, res) => {
+  try {
+    const prefs = await getNotificationPreferences(req.user.id);
+    res.json({ ...prefs, availableChannels: notifier.availableChannels() });
+  } catch (error) {
+    console.error("Notification preferences error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Replace the user's preferences
+app.put("/api/notifications/preferences", authenticateToken, async (req, res) => {
+  const { error, value } = parseNotificationPreferences(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    // The linked chat stays as it is
+    const current = await getNotificationPreferences(req.user.id);
+    value.telegram_chat_id = current.telegram_chat_id;
+    if (value.channels.includes("telegram") && !value.telegram_chat_id) {
+      return res.status(400).json({ error: "Link a Telegram chat before turning on Telegram notifications" });
+    }
+    if (value.channels.includes("email")) {
+      const account = await storage.findUserById(req.user.id);
+      if (!account || !account.email_verified_at) {
+        return res.status(400).json({ error: "Verify your account email before turning on email notifications" });
+      }
+    }
+    if (value.webhook_url) {
+      const webhookError = await notifier.checkWebhookUrl(value.webhook_url);
+      if (webhookError) {
+        return res.status(400).json({ error: webhookError });
+      }
+    }
+    await storage.saveNotificationPreferences(req.user.id, value);
+    res.json(await getNotificationPreferences(req.user.id));
+  } catch (error) {
+    console.error("Notification preferences update error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Send a test notification on every chosen channel (or just `channel`),
+// without retries, and report what happened on each
+app.post("/api/notifications/test", authenticateToken, async (req, res) => {
+  const { channel } = req.body || {};
+  if (channel !== undefined && !NOTIFICATION_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: "channel must be one of " + NOTIFICATION_CHANNELS.join(", ") });
+  }
+
+  try {
+    const results = await notifyUser(
+      req.user.id,
+      "test",
+      { username: req.user.username, time: formatNotificationTime(new Date()) },
+      { retries: 0, only: channel }
+    );
+    res.json({ results });
+  } catch (error) {
+    console.error("Notification test error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ===============================
+// Admin Routes
+// ===============================
+
+// Admins are users with the "admin" role (see lib/admins.js). This is the
+// normal login, refused for everyone else.
+app.post("/api/admin/login", loginLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+      return res.status(401).json({ error: "Invalid admin credentials" });
+    }
+
+    // Shares the lockout with the normal login
+    const user = await storage.findUserByUsername(username);
+    const lockedFor = loginLockout.lockedFor(loginLockKey(user, username));
+    if (lockedFor) {
+      return sendLockedOut(res, lockedFor);
+    }
+
+    const passwordMatch = Boolean(user) && (await bcrypt.compare(password, user.password_hash));
+    if (!passwordMatch) {
+      await recordLoginFailure(user, username, req, { admin: true, reason: user ? "wrong password" : "unknown user" });
+      return res.status(401).json({ error: "Invalid admin credentials" });
+    }
+    loginLockout.succeed(loginLockKey(user, username));
+
+    if (roleOf(user) !== "admin") {
+      await audit("login_failed", user, requestContext(req), { details: { username, admin: true, reason: "not an admin" } });
+      return res.status(401).json({ error: "Invalid admin credentials" });
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      return res.status(403).json({ error: "Email not verified" });
+    }
+
+    const session = await createSession(user, req);
+    await audit("login", user, requestContext(req), { details: { admin: true } });
+    res.json({ user: serializeUser(user), ...session });
+  } catch (error) {
+    console.error("Admin login error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Admin middleware: a valid session of a user allowed to manage users
+const authenticateAdmin = [authenticateToken, requirePermission("users:manage")];
+
+// True when `user` is the only admin left, who must not be demoted or deleted
+async function isLastAdmin(user) {
+  if (roleOf(user) !== "admin") return false;
+  const admins = (await storage.listUsers()).filter((u) => roleOf(u) === "admin");
+  return admins.length <= 1;
+}
+
+// Role changes apply to open dashboards straight away
+function applyRoleToSockets(userId, role) {
+  wss.clients.forEach((client) => {
+    if (client.authenticated && client.user && String(client.user.id) === String(userId)) {
+      client.user.role = role;
+    }
+  });
+}
+
+// Get all users
+app.get("/api/admin/users", authenticateAdmin, async (req, res) => {
+  try {
+    res.json(await storage.listUsers());
+  } catch (error) {
+    console.error("Admin get users error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update user
+app.put("/api/admin/users/:id", authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, email, password, role } = req.body;
+
+    if (role !== undefined && !isValidRole(role)) {
+      return res.status(400).json({ error: "Role must be one of " + ROLES.join(", ") });
+    }
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: "A valid email address is required" });
+    }
+
+    // Check if user exists
+    const userExists = await storage.findUserById(id);
+    if (!userExists) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Names from before the username rules may be kept as they are
+    if (username !== userExists.username && (typeof username !== "string" || !USERNAME_PATTERN.test(username))) {
+      return res.status(400).json({ error: "Username must be 3-50 letters, digits, '_', '.' or '-'" });
+    }
+
+    if (role !== undefined && role !== "admin" && (await isLastAdmin(userExists))) {
+      return res.status(400).json({ error: "At least one admin is required" });
+    }
+
+    // Check for duplicate username/email (excluding current user)
+    const duplicate = await storage.findUserByLogin(username, email, id);
+    if (duplicate) {
+      return res.status(400).json({ error: "Username or email already exists" });
+    }
+
+    if (password) {
+      const weakness = checkPassword(password, { username, email });
+      if (weakness) {
+        return res.status(400).json({ error: weakness });
+      }
+    }
+
+    const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+    await storage.updateUser(id, { username, email, passwordHash });
+
+    // What changed, as { field: { from, to } }; passwords only as a flag
+    const changes = {};
+    if (username && username !== userExists.username) changes.username = { from: userExists.username, to: username };
+    if (email && email !== userExists.email) {
+      changes.email = { from: userExists.email, to: email };
+      // Links sent to the old address must not verify the new one
+      await storage.revokeUserTokens(id, "email_verify");
+    }
+    if (passwordHash) changes.password = true;
+
+    if (role !== undefined && role !== roleOf(userExists)) {
+      await storage.setUserRole(id, role);
+      applyRoleToSockets(id, role);
+      changes.role = { from: roleOf(userExists), to: role };
+      console.log("👤 Role changed:", userExists.username, roleOf(userExists), "->", role);
+    }
+
+    await audit("user_update", req.user, requestContext(req), { targetType: "user", targetId: id, details: changes });
+
+    res.json({ message: "User updated successfully" });
+  } catch (error) {
+    console.error("Admin update user error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Sign a user out everywhere
+app.delete("/api/admin/users/:id/sessions", authenticateAdmin, async (req, res) => {
+  try {
+    const user = await storage.findUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const revoked = await storage.revokeUserTokens(user.id);
+    closeSessionSockets(revoked);
+    await audit("user_sessions_revoke", req.user, requestContext(req), {
+      targetType: "user",
+      targetId: user.id,
+      details: { username: user.username, revoked: revoked.length },
+    });
+    res.json({ message: "Sessions revoked", revoked: revoked.length });
+  } catch (error) {
+    console.error("Admin revoke sessions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete user
+app.delete("/api/admin/users/:id", authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await storage.findUserById(id);
+    if (existing && (await isLastAdmin(existing))) {
+      return res.status(400).json({ error: "At least one admin is required" });
+    }
+
+    const user = await storage.deleteUser(id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await audit("user_delete", req.user, requestContext(req), {
+      targetType: "user",
+      targetId: user.id,
+      details: { username: existing.username, email: existing.email, role: roleOf(existing) },
+    });
+
+    // Their devices and households are gone or unowned now
+    await loadDevices();
+    await loadHouseholdMembers();
+
+    res.json({ message: "User deleted", user });
+  } catch (error) {
+    console.error("Admin delete user error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Storage usage, retention settings and background job status
+app.get("/api/admin/storage", authenticateAdmin, async (req, res) => {
+  const report = {
+    retention: RETENTION,
+    storage: { backend: storage.name },
+    firebase: { ...firebaseHealth(), backlog: firebaseJournal.status() },
+    jobs: jobStatus,
+  };
+
+  try {
+    Object.assign(report.storage, await storage.getUsage());
+  } catch (error) {
+    report.storage.error = error.message;
+  }
+
+  res.json(report);
+});
+
+// Accepted and rejected telemetry samples per device since the server
+// started, with any sensor fault
+app.get("/api/admin/sensors", authenticateAdmin, (req, res) => {
+  res.json({
+    smoothing: SENSOR_SMOOTHING,
+    devices: sensorFilter.report().map((entry) => {
+      // The stats are keyed by device ID; a read-only view must not add
+      // registry entries for IDs it does not know
+      const device = devices.get(entry.deviceId);
+      return { ...entry, name: device ? device.name : entry.deviceId, online: isDeviceOnline(entry.deviceId) };
+    }),
+  });
+});
+
+const AUDIT_DEFAULT_LIMIT = 50;
+const AUDIT_MAX_LIMIT = 500;
+
+// Audit log, newest first:
+//   GET /api/admin/audit?user=&action=&target=&from=&to=&limit=&offset=
+app.get("/api/admin/audit", authenticateAdmin, async (req, res) => {
+  const range = parseTimeRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  const action = req.query.action || null;
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: "action must be one of " + AUDIT_ACTIONS.join(", ") });
+  }
+
+  const userId = req.query.user ? Number(req.query.user) : null;
+  if (userId !== null && !Number.isInteger(userId)) {
+    return res.status(400).json({ error: "user must be a user ID" });
+  }
+
+  const limit = Math.min(Number(req.query.limit) || AUDIT_DEFAULT_LIMIT, AUDIT_MAX_LIMIT);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    const { rows, hasMore } = await storage.listAuditLog({
+      userId,
+      action,
+      targetId: req.query.target || null,
+      from: range.from,
+      to: range.to,
+      limit,
+      offset,
+    });
+
+    res.json({
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      actions: AUDIT_ACTIONS,
+      limit,
+      offset,
+      nextOffset: hasMore ? offset + limit : null,
+      data: rows,
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Latest state of a device (defaults to DEFAULT_DEVICE_ID). Until the
+// device reports after a restart, the last stored sample is used.
+app.get("/api/sensor-data", authenticateToken, async (req, res) => {
+  const deviceId = req.query.device || DEFAULT_DEVICE_ID;
+  const device = devices.get(deviceId);
+  if (!device || !canAccessDevice(req.user, device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  let reading = { deviceId, ...device.state };
+
+  if (!reading.timestamp) {
+    try {
+      const latest = await storage.getLatestReading(deviceId);
+      if (latest) reading = { deviceId, ...latest };
+    } catch (error) {
+      console.warn("⚠️  Failed to load latest reading:", error.message);
+    }
+  }
+
+  res.json({ ...reading, ...deviceLiveness(device, reading.timestamp) });
+});
+
+const SENSOR_LOG_BUCKETS = ["raw", "minute", "hour", "day"];
+const SENSOR_LOG_DEFAULT_LIMIT = 500;
+const SENSOR_LOG_MAX_LIMIT = 5000;
+
+// Parse `from` / `to` (ISO date or epoch ms); defaults to the last 24 hours
+function parseTimeRange(query) {
+  const parse = (value) => (/^\d+$/.test(value) ? new Date(Number(value)) : new Date(value));
+  const to = query.to ? parse(query.to) : new Date();
+  const from = query.from ? parse(query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to)) {
+    return { error: "from and to must be ISO dates or epoch milliseconds" };
+  }
+  if (from >= to) {
+    return { error: "from must be before to" };
+  }
+  return { from, to };
+}
+
+// Sensor history:
+//   GET /api/sensor-logs?device=&from=&to=&bucket=raw|minute|hour|day&limit=&offset=
+// Buckets return min/avg/max per device and bucket, aligned to `tz`
+// (default DEFAULT_TIMEZONE). Without `device`, every device the user can see.
+app.get("/api/sensor-logs", authenticateToken, async (req, res) => {
+  const range = parseTimeRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  const bucket = req.query.bucket || "raw";
+  if (!SENSOR_LOG_BUCKETS.includes(bucket)) {
+    return res.status(400).json({ error: "bucket must be one of " + SENSOR_LOG_BUCKETS.join(", ") });
+  }
+
+  const tz = req.query.tz || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(tz)) {
+    return res.status(400).json({ error: "Unknown timezone: " + tz });
+  }
+
+  const limit = Math.min(Number(req.query.limit) || SENSOR_LOG_DEFAULT_LIMIT, SENSOR_LOG_MAX_LIMIT);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const deviceId = req.query.device || null;
+  let deviceIds;
+  if (deviceId) {
+    const device = devices.get(deviceId);
+    if (!device || !canAccessDevice(req.user, device)) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+    deviceIds = [device.id];
+  } else {
+    deviceIds = userDevices(req.user).map((device) => device.id);
+  }
+
+  try {
+    const { rows, hasMore } = await storage.querySensorHistory({
+      deviceIds,
+      from: range.from,
+      to: range.to,
+      bucket,
+      tz,
+      limit,
+      offset,
+    });
+
+    res.json({
+      source: storage.name,
+      deviceId,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      bucket,
+      limit,
+      offset,
+      nextOffset: hasMore ? offset + limit : null,
+      data: rows,
+    });
+  } catch (error) {
+    console.error("Sensor history error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Latest command results on the user's devices, newest first
+app.get("/api/command-logs", authenticateToken, async (req, res) => {
+  try {
+    res.json(await storage.listCommands(20, userDevices(req.user).map((device) => device.id)));
+  } catch (error) {
+    console.error("Command logs error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/api/last-command", authenticateToken, async (req, res) => {
+  try {
+    const [lastCmd] = await storage.listCommands(1, userDevices(req.user).map((device) => device.id));
+    res.json(lastCmd || { command: null, timestamp: null });
+  } catch (error) {
+    console.error("Last command error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ===============================
+// History & Export
+// ===============================
+
+const HISTORY_MAX_DAYS = 366;
+const HISTORY_MAX_COMMANDS = 500;
+const EXPORT_MAX_ROWS = numberFromEnv("EXPORT_MAX_ROWS", 100000);
+const EXPORT_DATA = ["readings", "daily", "commands"];
+
+// Columns of each export, in CSV order
+const EXPORT_COLUMNS = {
+  raw: ["device_id", "timestamp", "temperature", "light", "temperature_raw", "light_raw", "window", "mode"],
+  bucket: [
+    "device_id", "timestamp", "samples", "temperature_min", "temperature_avg", "temperature_max",
+    "light_min", "light_avg", "light_max", "open_ratio",
+  ],
+  daily: [
+    "deviceId", "date", "samples", "hoursOpen", "hoursOpenEstimated", "temperatureMin", "temperatureAvg",
+    "temperatureMax", "lightMin", "lightAvg", "lightMax",
+  ],
+  commands: ["timestamp", "deviceId", "command", "source", "userId", "status", "attempts", "latencyMs", "error", "window"],
+};
+
+// Shared query checks: time range (at most HISTORY_MAX_DAYS), bucket and
+// timezone. Returns { error } or { from, to, bucket, tz }.
+function parseHistoryQuery(query, defaultBucket) {
+  const range = parseTimeRange(query);
+  if (range.error) return range;
+  if (range.to - range.from > HISTORY_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `The range can be at most ${HISTORY_MAX_DAYS} days` };
+  }
+
+  const bucket = query.bucket || defaultBucket(range.to - range.from);
+  if (!SENSOR_LOG_BUCKETS.includes(bucket)) {
+    return { error: "bucket must be one of " + SENSOR_LOG_BUCKETS.join(", ") };
+  }
+
+  const tz = query.tz || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(tz)) {
+    return { error: "Unknown timezone: " + tz };
+  }
+  return { from: range.from, to: range.to, bucket, tz };
+}
+
+// Chart resolution for a range: a few hundred points at most
+function chartBucket(rangeMs) {
+  const hours = rangeMs / (60 * 60 * 1000);
+  return hours <= 6 ? "minute" : hours <= 24 * 14 ? "hour" : "day";
+}
+
+// Every page of querySensorHistory(); null once there are more than `max` rows
+async function readSensorHistory(query, max) {
+  const rows = [];
+  for (let offset = 0; ; offset += SENSOR_LOG_MAX_LIMIT) {
+    const page = await storage.querySensorHistory({ ...query, limit: SENSOR_LOG_MAX_LIMIT, offset });
+    rows.push(...page.rows);
+    if (rows.length > max) return null;
+    if (!page.hasMore) return rows;
+  }
+}
+
+// Daily summaries of one device
+async function deviceDailySummaries(deviceId, { from, to, tz }) {
+  const [days, changes] = await Promise.all([
+    storage.querySensorHistory({ deviceId, from, to, bucket: "day", tz, limit: HISTORY_MAX_DAYS + 1, offset: 0 }),
+    storage.listWindowChanges(deviceId, from, to),
+  ]);
+  return dailySummaries(days.rows, windowPeriods(changes), tz);
+}
+
+// Everything the history view draws for one device:
+//   GET /api/devices/:id/history?from=&to=&tz=&bucket=
+// series: temperature/light per bucket (picked from the range unless given),
+// windowPeriods: { window, from, to } from the telemetry, daily: per-day
+// summary, commands: commands sent in the range (oldest first)
+app.get("/api/devices/:id/history", authenticateToken, async (req, res) => {
+  const device = devices.get(req.params.id);
+  if (!device || !canAccessDevice(req.user, device)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+
+  const query = parseHistoryQuery(req.query, chartBucket);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+  const { from, to, bucket, tz } = query;
+
+  try {
+    const [series, changes, days, commands] = await Promise.all([
+      storage.querySensorHistory({ deviceId: device.id, from, to, bucket, tz, limit: SENSOR_LOG_MAX_LIMIT, offset: 0 }),
+      storage.listWindowChanges(device.id, from, to),
+      storage.querySensorHistory({ deviceId: device.id, from, to, bucket: "day", tz, limit: HISTORY_MAX_DAYS + 1, offset: 0 }),
+      storage.queryCommandHistory({ deviceId: device.id, from, to, limit: HISTORY_MAX_COMMANDS, offset: 0 }),
+    ]);
+    const periods = windowPeriods(changes);
+
+    res.json({
+      deviceId: device.id,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      timezone: tz,
+      bucket,
+      truncated: series.hasMore,
+      series: series.rows,
+      windowPeriods: periods,
+      daily: dailySummaries(days.rows, periods, tz),
+      commands: commands.rows,
+    });
+  } catch (error) {
+    console.error("History error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Download history for spreadsheets:
+//   GET /api/export?format=csv|json&data=readings|daily|commands&device=&from=&to=&bucket=&tz=
+// Without `device`, every device the user can see. Readings are raw samples
+// unless a bucket is given.
+app.get("/api/export", authenticateToken, async (req, res) => {
+  const format = req.query.format || "csv";
+  if (!["csv", "json"].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or json" });
+  }
+  const data = req.query.data || "readings";
+  if (!EXPORT_DATA.includes(data)) {
+    return res.status(400).json({ error: "data must be one of " + EXPORT_DATA.join(", ") });
+  }
+
+  const query = parseHistoryQuery(req.query, () => "raw");
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+  const { from, to, bucket, tz } = query;
+
+  let deviceIds;
+  if (req.query.device) {
+    const device = devices.get(req.query.device);
+    if (!device || !canAccessDevice(req.user, device)) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+    deviceIds = [device.id];
+  } else {
+    deviceIds = userDevices(req.user).map((device) => device.id);
+  }
+
+  try {
+    const rows = [];
+    for (const deviceId of deviceIds) {
+      const room = EXPORT_MAX_ROWS - rows.length;
+      let deviceRows;
+      if (data === "readings") {
+        deviceRows = await readSensorHistory({ deviceId, from, to, bucket, tz }, room);
+      } else if (data === "daily") {
+        deviceRows = await deviceDailySummaries(deviceId, query);
+      } else {
+        const commands = await storage.queryCommandHistory({ deviceId, from, to, limit: room, offset: 0 });
+        deviceRows = commands.hasMore ? null : commands.rows;
+      }
+      if (!deviceRows || deviceRows.length > room) {
+        return res.status(400).json({ error: `More than ${EXPORT_MAX_ROWS} rows; pick a shorter range or a coarser bucket` });
+      }
+      rows.push(...deviceRows);
+    }
+
+    const columns = data === "readings" ? EXPORT_COLUMNS[bucket === "raw" ? "raw" : "bucket"] : EXPORT_COLUMNS[data];
+    const day = (date) => date.toISOString().slice(0, 10);
+    const name = `smart-window-${data}${data === "readings" && bucket !== "raw" ? "-" + bucket : ""}-${day(from)}-${day(to)}`;
+    res.set("Content-Disposition", `attachment; filename="${name}.${format}"`);
+
+    if (format === "csv") {
+      res.type("text/csv").send(toCsv(rows, columns));
+    } else {
+      res.json({ data, bucket: data === "readings" ? bucket : null, from: from.toISOString(), to: to.toISOString(), timezone: tz, rows });
+    }
+  } catch (error) {
+    console.error("Export error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ===============================
+// Device Registry
+// ===============================
+
+// Device used when a controller connects without announcing DEVICE:<id>
+// (older firmware) and by the legacy single-window routes.
+const DEFAULT_DEVICE_ID = process.env.DEFAULT_DEVICE_ID || "esp32-1";
+const DEVICE_COMMANDS = ["OPEN", "CLOSE", "AUTO"];
+
+// deviceId -> { id, name, ownerId, householdId, lastSeen, state }
+const devices = new Map();
+
+// Household memberships, kept in memory so every telemetry broadcast can
+// check access: userId -> Map(householdId -> role in that household)
+const householdRoles = new Map();
+
+function isValidDeviceId(id) {
+  return typeof id === "string" && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+}
+
+// Get the registry entry for a device, creating an empty one if needed
+function getDevice(deviceId) {
+  let device = devices.get(deviceId);
+  if (!device) {
+    device = {
+      id: deviceId,
+      name: deviceId,
+      ownerId: null,
+      householdId: null,
+      lastSeen: null, // ISO time of the last message or pong from the controller
+      lastCommandAt: null, // ms time of the last command sent, see commandCooldownMs()
+      calibration: null, // sensor profile, null = DEFAULT_CALIBRATION
+      weatherHold: null, // why AUTO keeps the window closed, see weatherHoldFor()
+      state: {
+        temperature: 0, // °C, calibrated
+        light: 0, // lux, calibrated
+        temperatureRaw: null, // as the controller reported them
+        lightRaw: null,
+        window: "CLOSE",
+        mode: "AUTO",
+        timestamp: null,
+      },
+    };
+    devices.set(deviceId, device);
+  }
+  return device;
+}
+
+// Load registered devices from storage into the registry
+async function loadDevices() {
+  try {
+    const rows = await storage.listDevices();
+    rows.forEach((row) => {
+      const device = getDevice(row.id);
+      device.name = row.name || row.id;
+      device.ownerId = row.owner_id ?? null;
+      device.householdId = row.household_id ?? null;
+      device.calibration = row.calibration ?? null;
+      if (!device.lastSeen && row.last_seen_at) {
+        device.lastSeen = new Date(row.last_seen_at).toISOString();
+      }
+    });
+    console.log(`✅ Loaded ${rows.length} device(s)`);
+  } catch (error) {
+    console.warn("⚠️  Failed to load devices:", error.message);
+  }
+}
+
+// Record that an authenticated controller has connected. Called before
+// the socket counts as authenticated, so a second socket for a device that
+// is already online is not a new "online" event.
+async function registerDevice(deviceId) {
+  const device = getDevice(deviceId);
+  device.lastSeen = new Date().toISOString();
+  if (!isDeviceOnline(deviceId)) {
+    recordDeviceStatus(device, true, "connected");
+  }
+  try {
+    await storage.touchDevice(deviceId);
+  } catch (error) {
+    console.warn("⚠️  Failed to register device", deviceId, error.message);
+  }
+}
+
+// Generate a new API key for a device and store its hash. The raw key is
+// returned to the caller once and never stored.
+async function issueDeviceKey(deviceId) {
+  const apiKey = crypto.randomBytes(24).toString("hex");
+  await storage.setDeviceKeyHash(deviceId, hashToken(apiKey));
+
+  // Sockets authenticated with the previous key must reconnect
+  wss.clients.forEach((client) => {
+    if (client.role === "ESP32" && client.deviceId === deviceId && client.authenticated) {
+      client.close(WS_CLOSE_REVOKED, "Device key rotated");
+    }
+  });
+  mqttTransport.disconnect(deviceId);
+
+  return apiKey;
+}
+
+async function verifyDeviceKey(deviceId, apiKey) {
+  const keyHash = await storage.getDeviceKeyHash(deviceId);
+  if (!keyHash) {
+    return false;
+  }
+  const expected = Buffer.from(keyHash, "hex");
+  const actual = Buffer.from(hashToken(apiKey), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// The role `user` has for `device`, or null = no access (see roleForDevice
+// in lib/roles.js)
+function deviceRole(user, device) {
+  return roleForDevice(user, device, user ? householdRoles.get(String(user.id)) : null);
+}
+
+function canAccessDevice(user, device) {
+  return deviceRole(user, device) != null;
+}
+
+// Devices the user can see
+function userDevices(user) {
+  return [...devices.values()].filter((device) => canAccessDevice(user, device));
+}
+
+function canControlDevice(user, device) {
+  return canControlAs(user, deviceRole(user, device));
+}
+
+function hasDeviceSocket(deviceId) {
+  for (const client of wss.clients) {
+    if (
+      client.readyState === WebSocket.OPEN &&
+      client.role === "ESP32" &&
+      client.authenticated &&
+      client.deviceId === deviceId
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// How the device is connected: "websocket", "mqtt" or null (offline).
+// A device on both is reached over its WebSocket.
+function deviceTransport(deviceId) {
+  if (hasDeviceSocket(deviceId)) return "websocket";
+  if (mqttTransport.isConnected(deviceId)) return "mqtt";
+  return null;
+}
+
+function isDeviceOnline(deviceId) {
+  return deviceTransport(deviceId) !== null;
+}
+
+function serializeDevice(device) {
+  return {
+    id: device.id,
+    name: device.name,
+    ownerId: device.ownerId,
+    householdId: device.householdId,
+    calibrated: device.calibration != null,
+    sensorFault: sensorFilter.faultOf(device.id),
+    weatherHold: device.weatherHold,
+    online: isDeviceOnline(device.id),
+    transport: deviceTransport(device.id),
+    lastSeen: device.lastSeen,
+    state: { ...device.state },
+  };
+}
+
+// Thresholds for devices without an owner; same as the firmware defaults
+const DEFAULT_WINDOW_SETTINGS = {
+  auto_open_temp: 25,
+  auto_close_temp: 25,
+  light_threshold: 1000,
+  auto_mode: true,
+  weather_enabled: true,
+  weather_close_on_rain: true,
+  weather_max_wind: 40,
+  weather_close_when_warmer: true,
+};
+
+// AUTO thresholds for a device come from its owner's window_settings row
+async function loadDeviceSettings(device) {
+  if (device.ownerId == null) {
+    return DEFAULT_WINDOW_SETTINGS;
+  }
+  const settings = await storage.getSettings(device.ownerId);
+  return { ...DEFAULT_WINDOW_SETTINGS, ...settings };
+}
+
+// AUTO thresholds as the device applies them. The firmware compares the
+// temperature it measures itself, so the device's temperature offset is
+// taken back out; the light threshold is raw already. weatherHold keeps the
+// window closed in AUTO.
+function deviceConfig(device, settings) {
+  const offset = device.calibration ? device.calibration.temperatureOffset : 0;
+  const uncalibrated = (temperature) => Math.round((Number(temperature) - offset) * 100) / 100;
+  return {
+    autoOpenTemp: uncalibrated(settings.auto_open_temp),
+    autoCloseTemp: uncalibrated(settings.auto_close_temp),
+    lightThreshold: Number(settings.light_threshold),
+    autoMode: settings.auto_mode !== false,
+    weatherHold: device.weatherHold != null,
+  };
+}
+
+// CONFIG:<open temp>,<close temp>,<light threshold>,<auto 1|0>,<weather hold 1|0>
+// (firmware that reads four fields ignores the last one)
+function formatConfigMessage(config) {
+  return "CONFIG:" + [
+    config.autoOpenTemp,
+    config.autoCloseTemp,
+    config.lightThreshold,
+    config.autoMode ? 1 : 0,
+    config.weatherHold ? 1 : 0,
+  ].join(",");
+}
+
+// Send the owner's AUTO thresholds to a device. Called when the device
+// authenticates and whenever its owner changes their settings.
+async function pushDeviceConfig(deviceId) {
+  try {
+    const device = getDevice(deviceId);
+    const settings = await loadDeviceSettings(device);
+    setWeatherHold(device, weatherHoldFor(device, settings));
+    const config = deviceConfig(device, settings);
+    sendToESP32(deviceId, formatConfigMessage(config), createFrame("config", config));
+    console.log("Config pushed to", deviceId);
+  } catch (error) {
+    console.warn("⚠️  Failed to push config to", deviceId, error.message);
+  }
+}
+
+loadDevices().then(closeOpenDeviceSessions);
+
+// Load household memberships into householdRoles
+async function loadHouseholdMembers() {
+  try {
+    const members = await storage.listHouseholdMembers(null);
+    householdRoles.clear();
+    members.forEach((member) => setHouseholdRole(member.user_id, member.household_id, member.role));
+    console.log(`✅ Loaded ${members.length} household membership(s)`);
+  } catch (error) {
+    console.warn("⚠️  Failed to load households:", error.message);
+  }
+}
+
+// role null = no longer a member
+function setHouseholdRole(userId, householdId, role) {
+  const key = String(userId);
+  if (!householdRoles.has(key)) householdRoles.set(key, new Map());
+  if (role) {
+    householdRoles.get(key).set(String(householdId), role);
+  } else {
+    householdRoles.get(key).delete(String(householdId));
+  }
+}
+
+function householdRole(user, householdId) {
+  const roles = user && householdId != null ? householdRoles.get(String(user.id)) : null;
+  return (roles && roles.get(String(householdId))) || null;
+}
+
+loadHouseholdMembers();
+
+// ===============================
+// Device Liveness
+// ===============================
+
+// Controllers are pinged every DEVICE_PING_INTERVAL_MS and any message or
+// pong counts as a sign of life. A controller that drops off Wi-Fi leaves a
+// half-open connection that looks connected for a long time, so a socket
+// silent for DEVICE_OFFLINE_TIMEOUT_MS is dropped and the device goes
+// offline. Online/offline changes are pushed to browsers (device_status) and
+// stored in device_events for the uptime report.
+const DEVICE_PING_INTERVAL_MS = Number(process.env.DEVICE_PING_INTERVAL_MS) || 15000;
+const DEVICE_OFFLINE_TIMEOUT_MS = Number(process.env.DEVICE_OFFLINE_TIMEOUT_MS) || 45000;
+// How often last_seen_at is written while a device stays connected
+const DEVICE_LAST_SEEN_SAVE_MS = 60000;
+
+function markSocketAlive(ws) {
+  ws.lastSeenAt = Date.now();
+  if (ws.role === "ESP32" && ws.authenticated) {
+    getDevice(ws.deviceId).lastSeen = new Date(ws.lastSeenAt).toISOString();
+  }
+}
+
+// Online flag, last contact and how old the reading is. Readings from a
+// device that is offline, or older than the offline timeout, are stale.
+function deviceLiveness(device, readingTime) {
+  const online = isDeviceOnline(device.id);
+  const ageMs = readingTime ? Date.now() - new Date(readingTime).getTime() : null;
+  return {
+    online,
+    lastSeen: device.lastSeen,
+    ageSeconds: ageMs === null ? null : Math.round(ageMs / 1000),
+    stale: !online || ageMs === null || ageMs > DEVICE_OFFLINE_TIMEOUT_MS,
+  };
+}
+
+async function recordDeviceStatus(device, online, reason) {
+  console.log(online ? "🟢 Device online:" : "🔴 Device offline:", device.id, `(${reason})`);
+  broadcastToBrowser(
+    device.id,
+    { deviceId: device.id, online, lastSeen: device.lastSeen, reason },
+    "device_status"
+  );
+  try {
+    await storage.saveDeviceEvent({
+      deviceId: device.id,
+      event: online ? "online" : "offline",
+      reason,
+      at: new Date(),
+    });
+  } catch (error) {
+    console.warn("⚠️  Failed to record device event:", error.message);
+  }
+}
+
+// Drop silent controller sockets, ping the rest and save last_seen_at
+function checkDeviceHeartbeats() {
+  const now = Date.now();
+  const touched = new Set();
+  wss.clients.forEach((client) => {
+    if (client.role !== "ESP32" || !client.authenticated) return;
+
+    if (now - client.lastSeenAt > DEVICE_OFFLINE_TIMEOUT_MS) {
+      console.warn("⚠️  No heartbeat from", client.deviceId, "- dropping connection");
+      client.offlineReason = "timeout";
+      client.terminate();
+      return;
+    }
+    if (client.readyState === WebSocket.OPEN) {
+      client.ping();
+    }
+
+    const device = getDevice(client.deviceId);
+    if (!touched.has(device.id) && now - (device.lastSeenSavedAt || 0) >= DEVICE_LAST_SEEN_SAVE_MS) {
+      touched.add(device.id);
+      device.lastSeenSavedAt = now;
+      storage.touchDevice(device.id).catch((error) => {
+        console.warn("⚠️  Failed to save last seen for", device.id, error.message);
+      });
+    }
+  });
+}
+
+// After a restart nothing is connected yet: an "online" period the previous
+// run left open is closed at the device's last seen time
+async function closeOpenDeviceSessions() {
+  const now = new Date();
+  for (const device of devices.values()) {
+    try {
+      const events = await storage.listDeviceEvents(device.id, now, now);
+      const last = events[events.length - 1];
+      if (last && last.event === "online" && !isDeviceOnline(device.id)) {
+        await storage.saveDeviceEvent({
+          deviceId: device.id,
+          event: "offline",
+          reason: "server_restart",
+          at: device.lastSeen ? new Date(device.lastSeen) : now,
+        });
+      }
+    } catch (error) {
+      console.warn("⚠️  Failed to check device events for", device.id, error.message);
+    }
+  }
+}
+
+setInterval(checkDeviceHeartbeats, DEVICE_PING_INTERVAL_MS);
+
+// ===============================
+// Device Commands
+// ===============================
+
+// Every command goes out as CMD:<commandId>:<command> (a command frame with
+// id = commandId for envelope clients). The device answers ACK:<commandId>
+// once it has acted, or NACK:<commandId>:<reason> (an ack frame). Without
+// an answer the same command ID is re-sent up to COMMAND_MAX_RETRIES times.
+const COMMAND_TIMEOUT_MS = Number(process.env.COMMAND_TIMEOUT_MS) || 5000;
+const COMMAND_MAX_RETRIES = process.env.COMMAND_MAX_RETRIES !== undefined
+  ? Number(process.env.COMMAND_MAX_RETRIES)
+  : 2;
+
+// HTTP status used by the REST command route for each outcome
+const COMMAND_STATUS_HTTP = {
+  acked: 200,
+  nacked: 409,
+  timeout: 504,
+  offline: 503,
+};
+
+// commandId -> { id, deviceId, command, source, origin, requestedBy, attempts, startedAt, timer, resolve }
+const pendingCommands = new Map();
+
+// People (dashboard, REST, Telegram) can send one command per device every
+// COMMAND_DEBOUNCE_MS, and not while the last one is still unanswered, so a
+// burst of OPEN/CLOSE cannot wear out the servo. Schedules are not held back.
+const COMMAND_DEBOUNCE_MS = numberFromEnv("COMMAND_DEBOUNCE_MS", 2000);
+
+// How long until a person may command this device again (0 = now)
+function commandCooldownMs(deviceId) {
+  const busy = [...pendingCommands.values()].some((pending) => pending.deviceId === deviceId);
+  const sentAt = getDevice(deviceId).lastCommandAt || 0;
+  return Math.max(busy ? COMMAND_DEBOUNCE_MS : 0, sentAt + COMMAND_DEBOUNCE_MS - Date.now());
+}
+
+function cooldownMessage(waitMs) {
+  return `Another command was just sent to this device, try again in ${Math.ceil(waitMs / 1000)} s`;
+}
+
+// Send a command to one device. Every command path (browser socket, REST
+// route, scheduler) goes through here; `source` says which, and `origin` is
+// the browser socket that should hear the result, if any. `requestedBy` is
+// { user, ipAddress, userAgent } for the command log and audit log. Resolves
+// with the outcome once the device answers or the retries run out.
+function sendDeviceCommand(deviceId, command, source, origin, requestedBy) {
+  return new Promise((resolve) => {
+    const pending = {
+      id: crypto.randomUUID(),
+      deviceId,
+      command,
+      source,
+      origin: origin || null,
+      requestedBy: requestedBy || {},
+      attempts: 0,
+      startedAt: Date.now(),
+      timer: null,
+      resolve,
+    };
+
+    if (!isDeviceOnline(deviceId)) {
+      finishCommand(pending, "offline", "Device is offline");
+      return;
+    }
+
+    getDevice(deviceId).lastCommandAt = pending.startedAt;
+    pendingCommands.set(pending.id, pending);
+    attemptCommand(pending);
+  });
+}
+
+function attemptCommand(pending) {
+  pending.attempts++;
+  sendToESP32(
+    pending.deviceId,
+    `CMD:${pending.id}:${pending.command}`,
+    createFrame("command", { command: pending.command }, pending.id)
+  );
+  console.log("Command sent to ESP32:", pending.deviceId, pending.command, `(${pending.source}, attempt ${pending.attempts})`);
+
+  pending.timer = setTimeout(() => {
+    if (pending.attempts <= COMMAND_MAX_RETRIES && isDeviceOnline(pending.deviceId)) {
+      console.warn("⚠️  No ACK for command", pending.id, "- retrying");
+      attemptCommand(pending);
+    } else {
+      finishCommand(pending, "timeout", `No ACK after ${pending.attempts} attempt(s)`);
+    }
+  }, COMMAND_TIMEOUT_MS);
+}
+
+// Handle a device's answer to a command (legacy ACK:/NACK: or ack frame)
+function handleCommandReply(deviceId, commandId, ok, reason) {
+  const pending = pendingCommands.get(commandId);
+
+  if (!pending || pending.deviceId !== deviceId) {
+    console.warn("⚠️  Reply for unknown or finished command:", commandId);
+    return;
+  }
+
+  if (ok) {
+    finishCommand(pending, "acked");
+  } else {
+    finishCommand(pending, "nacked", reason || "Rejected by device");
+  }
+}
+
+// Fail every pending command for a device that has disconnected
+function failPendingCommands(deviceId) {
+  pendingCommands.forEach((pending) => {
+    if (pending.deviceId === deviceId) {
+      finishCommand(pending, "offline", "Device disconnected");
+    }
+  });
+}
+
+async function finishCommand(pending, status, error) {
+  clearTimeout(pending.timer);
+  pendingCommands.delete(pending.id);
+
+  const device = getDevice(pending.deviceId);
+  const { user, ipAddress, userAgent } = pending.requestedBy;
+  const result = {
+    commandId: pending.id,
+    deviceId: pending.deviceId,
+    command: pending.command,
+    source: pending.source,
+    userId: user ? user.id : null,
+    status,
+    attempts: pending.attempts,
+    latencyMs: Date.now() - pending.startedAt,
+    error: error || null,
+  };
+
+  // Only an acknowledged command changes the known window state
+  if (status === "acked") {
+    if (pending.command === "AUTO") {
+      device.state.mode = "AUTO";
+    } else {
+      device.state.window = pending.command;
+      device.state.mode = "MANUAL";
+    }
+    broadcastToBrowser(device.id, { deviceId: device.id, ...device.state });
+  }
+
+  const origin = pending.origin;
+  if (origin && origin.readyState === WebSocket.OPEN) {
+    if (origin.protocolVersion) {
+      sendFrame(origin, "ack", { ok: status === "acked", ...result }, result.commandId);
+    } else {
+      origin.send(JSON.stringify({ type: "command_result", ...result }));
+    }
+  }
+
+  // Command history (best-effort), mirrored to the Firebase logs
+  try {
+    await storage.logCommand({ ...result, window: device.state.window });
+  } catch (error) {
+    console.warn("⚠️  Failed to store command log:", error.message);
+  }
+  try {
+    await logToFirebase("commands", {
+      ...result,
+      window: device.state.window,
+    });
+  } catch (fbErr) {
+    console.warn("Firebase log failed:", fbErr && fbErr.message ? fbErr.message : fbErr);
+  }
+  await audit("command", user, { source: pending.source, ipAddress, userAgent }, {
+    targetType: "device",
+    targetId: pending.deviceId,
+    details: { commandId: pending.id, command: pending.command, status, error: result.error },
+  });
+
+  console.log(`Command ${status}:`, pending.deviceId, pending.command, `${result.latencyMs}ms`);
+  pending.resolve(result);
+}
+
+// ===============================
+// Scheduler
+// ===============================
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Bangkok";
+const SCHEDULER_INTERVAL_MS = 30000;
+
+// Catch-up policy: an occurrence missed while the server was down is still
+// run if it is at most this many minutes old. Only the latest missed
+// occurrence of each schedule is run; older ones are skipped.
+const SCHEDULE_CATCHUP_MINUTES = Number(process.env.SCHEDULE_CATCHUP_MINUTES) || 30;
+
+// Most recent occurrence of a schedule at or before `now`, or null
+function getLastOccurrence(schedule, now) {
+  const [hour, minute] = schedule.time_of_day.split(":").map(Number);
+  const today = getZonedParts(now, schedule.timezone);
+
+  for (let daysBack = 0; daysBack <= 7; daysBack++) {
+    const local = new Date(Date.UTC(today.year, today.month - 1, today.day - daysBack));
+    if (!schedule.days_of_week.includes(local.getUTCDay())) continue;
+
+    const occurrence = zonedTimeToDate(
+      local.getUTCFullYear(),
+      local.getUTCMonth() + 1,
+      local.getUTCDate(),
+      hour,
+      minute,
+      schedule.timezone
+    );
+    if (occurrence <= now) return occurrence;
+  }
+  return null;
+}
+
+// The author of a schedule may have left the household or lost the right
+// to send commands since creating it
+async function scheduleAllowed(schedule) {
+  if (schedule.user_id == null) return true;
+  try {
+    const author = await storage.findUserById(schedule.user_id);
+    return Boolean(author) && canControlDevice(author, getDevice(schedule.device_id));
+  } catch (error) {
+    console.warn("⚠️  Scheduler could not check schedule owner:", error.message);
+    return false;
+  }
+}
+
+async function runSchedules() {
+  const now = new Date();
+  let schedules;
+  try {
+    schedules = await storage.listEnabledSchedules();
+  } catch (error) {
+    console.warn("⚠️  Scheduler could not load schedules:", error.message);
+    return;
+  }
+
+  for (const schedule of schedules) {
+    if (!isValidTimezone(schedule.timezone)) continue;
+
+    const occurrence = getLastOccurrence(schedule, now);
+    const lastRun = schedule.last_run_at ? new Date(schedule.last_run_at) : null;
+    if (!occurrence || (lastRun && occurrence <= lastRun)) continue;
+
+    const lateMinutes = (now - occurrence) / 60000;
+    if (lateMinutes <= SCHEDULE_CATCHUP_MINUTES) {
+      // Wait for an offline device to come back while still inside the window
+      if (!isDeviceOnline(schedule.device_id)) continue;
+      if (await scheduleAllowed(schedule)) {
+        sendDeviceCommand(schedule.device_id, schedule.command, "schedule", null, {
+          user: { id: schedule.user_id },
+        });
+      } else {
+        console.warn(`⏭️  Schedule ${schedule.id} skipped: its owner can no longer control ${schedule.device_id}`);
+      }
+    } else {
+      console.warn(
+        `⏭️  Schedule ${schedule.id} skipped ${schedule.command} due at ${occurrence.toISOString()} (${Math.round(lateMinutes)} min late)`
+      );
+    }
+
+    try {
+      await storage.setScheduleLastRun(schedule.id, occurrence);
+    } catch (error) {
+      console.warn("⚠️  Failed to update schedule", schedule.id, error.message);
+    }
+  }
+}
+
+// The first run happens one interval after startup, which gives devices
+// time to reconnect before missed occurrences are caught up.
+setInterval(runSchedules, SCHEDULER_INTERVAL_MS);
+
+// ===============================
+// Alerts
+// ===============================
+
+// Offline rules are checked on a timer, since a dead controller sends nothing
+const ALERT_OFFLINE_CHECK_MS = 30000;
+
+// ruleId -> { rule, state } for every enabled rule
+const alertRules = new Map();
+
+// (Re)load rules from storage; rules that are still there keep their state
+async function loadAlertRules() {
+  try {
+    const rules = await storage.listAlertRules(null);
+    const previous = new Map(alertRules);
+    alertRules.clear();
+    rules.filter((rule) => rule.enabled).forEach((rule) => {
+      const existing = previous.get(rule.id);
+      alertRules.set(rule.id, { rule, state: existing ? existing.state : createRuleState(rule) });
+    });
+  } catch (error) {
+    console.warn("⚠️  Failed to load alert rules:", error.message);
+  }
+}
+
+// Run the device's rules for `metrics` against a reading
+function evaluateAlerts(device, reading, metrics) {
+  const now = new Date();
+  alertRules.forEach(({ rule, state }) => {
+    if (rule.device_id !== device.id || !metrics.includes(rule.metric)) return;
+    if (evaluateRule(rule, state, reading, now)) {
+      fireAlert(rule, device, reading, now);
+    }
+  });
+}
+
+// Template variables for the "alert" notification
+function alertTemplateVars(rule, device, reading, now) {
+  const details = rule.metric === "offline"
+    ? `📡 Offline for ${rule.duration_minutes} min or more`
+    : [
+      `🪟 Window: ${reading.window}`,
+      `🌡 Temperature: ${reading.temperature}°C`,
+      `💡 Light: ${reading.light} lux`,
+    ].join("\n");
+  return {
+    rule: rule.name,
+    device: device.name,
+    deviceId: device.id,
+    metric: rule.metric,
+    value: alertValue(rule, reading),
+    temperature: reading.temperature,
+    light: reading.light,
+    window: reading.window,
+    details,
+    time: formatNotificationTime(now),
+  };
+}
+
+// Send an alert (unless it is the rule's quiet time) and record it. Rules
+// with an owner go out on the owner's channels, the rest to TELEGRAM_CHAT_ID.
+async function fireAlert(rule, device, reading, now) {
+  const quiet = isQuietTime(rule, now);
+  const vars = alertTemplateVars(rule, device, reading, now);
+  const message = buildMessage("alert", vars).text;
+  console.log("🔔 Alert:", rule.name, device.id, quiet ? "(quiet hours, not sent)" : "");
+
+  if (!quiet) {
+    if (rule.user_id != null) {
+      notifyUser(rule.user_id, "alert", vars).catch((error) => {
+        console.warn("⚠️  Failed to notify user", rule.user_id, error.message);
+      });
+    } else {
+      sendTelegram(message);
+    }
+  }
+
+  try {
+    await storage.saveAlertEvent({
+      ruleId: rule.id,
+      userId: rule.user_id ?? null,
+      deviceId: device.id,
+      ruleName: rule.name,
+      metric: rule.metric,
+      value: alertValue(rule, reading),
+      message,
+      notified: !quiet,
+      firedAt: now,
+    });
+    await storage.setAlertRuleFired(rule.id, now);
+  } catch (error) {
+    console.warn("⚠️  Failed to record alert:", error.message);
+  }
+}
+
+function checkOfflineAlerts() {
+  devices.forEach((device) => {
+    evaluateAlerts(device, { online: isDeviceOnline(device.id) }, ["offline"]);
+  });
+}
+
+loadAlertRules();
+setInterval(checkOfflineAlerts, ALERT_OFFLINE_CHECK_MS);
+
+// ===============================
+// Notifications
+// ===============================
+
+// Per-channel retries: NOTIFY_MAX_RETRIES more attempts after the first,
+// waiting NOTIFY_RETRY_DELAY_MS and doubling each time
+const notifier = createNotifier({
+  telegramToken: TELEGRAM_TOKEN,
+  telegramApiUrl: TELEGRAM_API_URL,
+  mailer,
+  pushToUser,
+  retries: process.env.NOTIFY_MAX_RETRIES !== undefined ? Number(process.env.NOTIFY_MAX_RETRIES) : 3,
+  backoffMs: Number(process.env.NOTIFY_RETRY_DELAY_MS) || 2000,
+  timeoutMs: 10000,
+  // Hosts on the local network that webhooks may still call
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map((host) => host.trim()).filter(Boolean),
+});
+
+// Used until the user saves their own preferences
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  channels: ["websocket"],
+  telegram_chat_id: null,
+  webhook_url: null,
+  email: null,
+  templates: {},
+};
+
+function formatNotificationTime(date) {
+  return date.toLocaleString("en-GB", { timeZone: DEFAULT_TIMEZONE });
+}
+
+// Email goes only to the account's own address, and only once it is verified
+async function getNotificationPreferences(userId) {
+  const [saved, account] = await Promise.all([storage.getNotificationPreferences(userId), storage.findUserById(userId)]);
+  const email = account && account.email_verified_at ? account.email : null;
+  return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...saved, email, user_id: userId };
+}
+
+// Send `event` to a user on their channels; resolves with per-channel results
+async function notifyUser(userId, event, vars, options) {
+  const prefs = await getNotificationPreferences(userId);
+  const results = await notifier.notify(prefs, buildMessage(event, vars, prefs.templates), options);
+  results
+    .filter((result) => result.status === "failed")
+    .forEach((result) => {
+      console.warn(`⚠️  ${result.channel} notification to user ${userId} failed after ${result.attempts} attempts:`, result.error);
+    });
+  return results;
+}
+
+// Push a notification to the user's open dashboards; returns how many
+function pushToUser(userId, message) {
+  const payload = { event: message.event, title: message.title, text: message.text };
+  let sent = 0;
+  wss.clients.forEach((client) => {
+    if (
+      client.readyState === WebSocket.OPEN &&
+      client.role === "BROWSER" &&
+      client.authenticated &&
+      String(client.user.id) === String(userId)
+    ) {
+      if (client.protocolVersion) {
+        sendFrame(client, "notification", payload);
+      } else {
+        client.send(JSON.stringify({ type: "notification", ...payload }));
+      }
+      sent++;
+    }
+  });
+  return sent;
+}
+
+// ===============================
+// Telegram Bot
+// ===============================
+
+// Window control from Telegram: /open, /close, /auto, /status, /history.
+// Updates arrive through POST /api/telegram/webhook (TELEGRAM_BOT_MODE=webhook)
+// or long polling (TELEGRAM_BOT_MODE=polling). Only chats linked to a user
+// (the Telegram chat ID in their notification preferences) are served, and
+// commands run as that user through sendDeviceCommand, like the dashboard's.
+// A chat is linked by sending the bot "/link <code>" (or opening the
+// t.me/<bot>?start=<code> link) with a one-time code from the dashboard.
+const TELEGRAM_BOT_MODE = process.env.TELEGRAM_BOT_MODE || "off";
+const TELEGRAM_WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL || null;
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || null;
+const TELEGRAM_POLL_TIMEOUT_S = 30;
+const TELEGRAM_POLL_RETRY_MS = 5000;
+const TELEGRAM_HISTORY_LIMIT = 10;
+const TELEGRAM_LINK_TTL_MINUTES = 10;
+
+const BOT_DEVICE_COMMANDS = { "/open": "OPEN", "/close": "CLOSE", "/auto": "AUTO" };
+const BOT_HELP = [
+  "🪟 Smart Window bot",
+  "/open [device] - open the window",
+  "/close [device] - close the window",
+  "/auto [device] - back to auto mode",
+  "/status - current state of your windows",
+  "/history - last commands",
+].join("\n");
+
+let telegramUpdateOffset = 0;
+// chatId -> promise of the last queued update
+const telegramChatQueues = new Map();
+
+async function replyTelegram(chatId, text) {
+  try {
+    await callTelegram("sendMessage", { chat_id: chatId, text });
+  } catch (error) {
+    console.warn("⚠️  Telegram reply failed:", error.message);
+  }
+}
+
+function describeDevice(device) {
+  const state = device.state;
+  return [
+    `📟 ${device.name} (${device.id}) - ${isDeviceOnline(device.id) ? "online" : "offline"}`,
+    `🪟 Window: ${state.window}, mode: ${state.mode}`,
+    `🌡 ${state.temperature}°C  💡 ${state.light} lux`,
+  ].join("\n");
+}
+
+// Reply text for one command from a linked user
+async function runBotCommand(user, command, args) {
+  const owned = userDevices(user);
+
+  if (BOT_DEVICE_COMMANDS[command]) {
+    // With several devices the user has to say which one
+    const device = args[0]
+      ? owned.find((d) => d.id === args[0] || d.name === args[0])
+      : owned.length === 1 ? owned[0] : null;
+    if (!device) {
+      return owned.length === 0
+        ? "You have no devices yet."
+        : `Which device? ${command} <device>\n` + owned.map((d) => `• ${d.id}`).join("\n");
+    }
+    if (!canControlDevice(user, device)) {
+      return `❌ Your role cannot send commands to ${device.name}.`;
+    }
+    const waitMs = commandCooldownMs(device.id);
+    if (waitMs > 0) {
+      return `⏳ ${device.name}: ${cooldownMessage(waitMs)}`;
+    }
+
+    const result = await sendDeviceCommand(device.id, BOT_DEVICE_COMMANDS[command], "telegram", null, { user });
+    return result.status === "acked"
+      ? `✅ ${result.command} done on ${device.name} (${result.latencyMs} ms)`
+      : `❌ ${result.command} on ${device.name}: ${result.status}` + (result.error ? ` - ${result.error}` : "");
+  }
+
+  switch (command) {
+    case "/status":
+      return owned.length === 0 ? "You have no devices yet." : owned.map(describeDevice).join("\n\n");
+
+    case "/history": {
+      const commands = await storage.listCommands(TELEGRAM_HISTORY_LIMIT, owned.map((d) => d.id));
+      if (commands.length === 0) return "No commands yet.";
+      return commands
+        .map((entry) => `${formatNotificationTime(new Date(entry.timestamp))} ${entry.command} ${entry.deviceId} - ${entry.status} (${entry.source})`)
+        .join("\n");
+    }
+
+    default:
+      return BOT_HELP;
+  }
+}
+
+// Link `chatId` to the user (null unlinks); the telegram channel goes with it
+async function setTelegramChat(userId, chatId) {
+  const prefs = await getNotificationPreferences(userId);
+  const channels = prefs.channels.filter((channel) => channel !== "telegram");
+  await storage.saveNotificationPreferences(userId, {
+    ...prefs,
+    channels: chatId ? [...channels, "telegram"] : channels,
+    telegram_chat_id: chatId,
+    email: null,
+  });
+}
+
+// Link the chat to the account that issued `code`; returns the reply
+async function linkTelegramChat(chatId, code) {
+  const row = await findAccountToken(code, "telegram_link");
+  const claimed = row && (await storage.revokeToken(row.id, null));
+  const user = claimed && (await storage.findUserById(row.user_id));
+  if (!user) {
+    return "❌ This code is invalid or has expired. Get a new one under Notifications in the dashboard.";
+  }
+
+  // Whoever holds the chat decides: it moves off any account it was linked to
+  const previous = await storage.findUserByTelegramChatId(chatId);
+  const moved = previous && String(previous.id) !== String(user.id);
+  if (moved) await setTelegramChat(previous.id, null);
+  await setTelegramChat(user.id, chatId);
+
+  await audit("telegram_link", user, { source: "telegram" }, {
+    targetType: "user",
+    targetId: user.id,
+    details: { chatId, previousUserId: moved ? previous.id : null },
+  });
+  return `✅ This chat is now linked to ${user.username}.\n\n${BOT_HELP}`;
+}
+
+async function handleTelegramUpdate(update) {
+  const message = update.message;
+  if (!message || !message.chat || typeof message.text !== "string") return;
+
+  const chatId = String(message.chat.id);
+  const [word, ...args] = message.text.trim().split(/\s+/);
+  // "/open@SomeBot" in group chats
+  const command = word.toLowerCase().replace(/@\w+$/, "");
+  if (!command.startsWith("/")) return;
+
+  if ((command === "/link" || command === "/start") && args[0]) {
+    await replyTelegram(chatId, await linkTelegramChat(chatId, args[0]));
+    return;
+  }
+
+  const user = await storage.findUserByTelegramChatId(chatId);
+  if (!user) {
+    console.warn("⚠️  Telegram command from unlinked chat:", chatId);
+    await replyTelegram(chatId, "This chat is not linked to an account. Get a code under Notifications in the dashboard and send /link <code>.");
+    return;
+  }
+
+  console.log("🤖 Telegram command:", command, args.join(" "), "user:", user.username);
+  const reply = await runBotCommand({ id: user.id, username: user.username, role: roleOf(user) }, command, args);
+  await replyTelegram(chatId, reply);
+}
+
+// Updates from one chat are handled one after another, so "/open" then
+// "/status" reports the new state; different chats do not wait for each other
+function queueTelegramUpdate(update) {
+  const chatId = update.message && update.message.chat ? String(update.message.chat.id) : "";
+  const next = (telegramChatQueues.get(chatId) || Promise.resolve())
+    .then(() => handleTelegramUpdate(update))
+    .catch((error) => {
+      console.error("❌ Telegram update failed:", error.message);
+    });
+  telegramChatQueues.set(chatId, next);
+  next.then(() => {
+    if (telegramChatQueues.get(chatId) === next) telegramChatQueues.delete(chatId);
+  });
+}
+
+// A new one-time code to link a Telegram chat; older codes stop working
+app.post("/api/notifications/telegram/link", authenticateToken, accountLimiter, async (req, res) => {
+  if (TELEGRAM_BOT_MODE === "off" || !TELEGRAM_TOKEN) {
+    return res.status(503).json({ error: "The Telegram bot is not enabled on this server" });
+  }
+
+  try {
+    await storage.revokeUserTokens(req.user.id, "telegram_link");
+    const code = await issueAccountToken(req.user, "telegram_link", TELEGRAM_LINK_TTL_MINUTES * 60 * 1000, req);
+    res.json({ code, command: `/link ${code}`, expiresInMinutes: TELEGRAM_LINK_TTL_MINUTES });
+  } catch (error) {
+    console.error("Telegram link code error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Unlink the user's Telegram chat
+app.delete("/api/notifications/telegram/link", authenticateToken, async (req, res) => {
+  try {
+    await setTelegramChat(req.user.id, null);
+    res.json(await getNotificationPreferences(req.user.id));
+  } catch (error) {
+    console.error("Telegram unlink error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Telegram retries until it gets a 2xx, so answer first and work after
+app.post("/api/telegram/webhook", (req, res) => {
+  if (TELEGRAM_BOT_MODE !== "webhook" || !TELEGRAM_WEBHOOK_SECRET) {
+    return res.status(404).json({ error: "Telegram webhook is not enabled" });
+  }
+  const secret = req.get("X-Telegram-Bot-Api-Secret-Token") || "";
+  if (
+    secret.length !== TELEGRAM_WEBHOOK_SECRET.length ||
+    !crypto.timingSafeEqual(Buffer.from(secret), Buffer.from(TELEGRAM_WEBHOOK_SECRET))
+  ) {
+    return res.status(401).json({ error: "Invalid secret token" });
+  }
+  res.json({ ok: true });
+  queueTelegramUpdate(req.body || {});
+});
+
+async function pollTelegram() {
+  try {
+    const updates = await callTelegram(
+      "getUpdates",
+      { offset: telegramUpdateOffset, timeout: TELEGRAM_POLL_TIMEOUT_S, allowed_updates: ["message"] },
+      (TELEGRAM_POLL_TIMEOUT_S + 10) * 1000
+    );
+    (updates || []).forEach((update) => {
+      telegramUpdateOffset = update.update_id + 1;
+      queueTelegramUpdate(update);
+    });
+    setImmediate(pollTelegram);
+  } catch (error) {
+    console.warn("⚠️  Telegram polling failed:", error.message);
+    setTimeout(pollTelegram, TELEGRAM_POLL_RETRY_MS);
+  }
+}
+
+async function startTelegramBot() {
+  if (TELEGRAM_BOT_MODE === "off") return;
+  if (!TELEGRAM_TOKEN) {
+    console.warn("⚠️  TELEGRAM_BOT_MODE is set but TELEGRAM_TOKEN is missing, bot disabled");
+    return;
+  }
+
+  if (TELEGRAM_BOT_MODE === "polling") {
+    // getUpdates is refused while a webhook is set
+    await callTelegram("deleteWebhook").catch((error) => {
+      console.warn("⚠️  Telegram deleteWebhook failed:", error.message);
+    });
+    console.log("🤖 Telegram bot polling", TELEGRAM_API_URL);
+    pollTelegram();
+  } else if (TELEGRAM_BOT_MODE === "webhook") {
+    if (!TELEGRAM_WEBHOOK_SECRET) {
+      // Without it anyone could post updates pretending to be a linked chat
+      console.warn("⚠️  TELEGRAM_WEBHOOK_SECRET is required for webhook mode, bot disabled");
+      return;
+    }
+    if (TELEGRAM_WEBHOOK_URL) {
+      try {
+        await callTelegram("setWebhook", {
+          url: TELEGRAM_WEBHOOK_URL,
+          secret_token: TELEGRAM_WEBHOOK_SECRET,
+          allowed_updates: ["message"],
+        });
+        console.log("🤖 Telegram webhook set:", TELEGRAM_WEBHOOK_URL);
+      } catch (error) {
+        console.warn("⚠️  Telegram setWebhook failed:", error.message);
+      }
+    }
+  } else {
+    console.warn(`⚠️  Unknown TELEGRAM_BOT_MODE "${TELEGRAM_BOT_MODE}" (expected off, webhook, polling)`);
+  }
+}
+
+startTelegramBot();
+
+// ===============================
+// Firebase Helper Functions
+// ===============================
+
+// Writes that fail or time out (e.g. during an internet outage) go to a
+// local journal and are replayed in order once Firebase is reachable again.
+// Log keys are taken when the write is first attempted, so replayed entries
+// keep their original timestamps.
+const FIREBASE_WRITE_TIMEOUT_MS = Number(process.env.FIREBASE_WRITE_TIMEOUT_MS) || 5000;
+const FIREBASE_REPLAY_INTERVAL_MS = 30000;
+const FIREBASE_REPLAY_BATCH_SIZE = 500;
+const firebaseJournal = createJournal(
+  process.env.FIREBASE_JOURNAL_FILE || "./data/firebase-journal.jsonl",
+  Number(process.env.FIREBASE_JOURNAL_MAX_ENTRIES) || 20000
+);
+let firebaseConnected = false;
+let firebaseReplaying = false;
+
+if (firebaseJournal.size > 0) {
+  console.log(`📦 Firebase journal has ${firebaseJournal.size} pending write(s)`);
+}
+
+function withFirebaseTimeout(promise) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error("Firebase write timeout")), FIREBASE_WRITE_TIMEOUT_MS)
+    ),
+  ]);
+}
+
+// Write to Firebase, or journal the write. While a backlog exists new writes
+// are journaled too, so nothing overtakes an older write to the same path.
+async function writeToFirebase(path, data) {
+  if (firebaseJournal.size === 0) {
+    try {
+      await withFirebaseTimeout(db.ref(path).set(data));
+      return true;
+    } catch (error) {
+      console.warn("⚠️  Firebase write failed, journaling:", path, error.message);
+    }
+  }
+  firebaseJournal.append({ path, data, queuedAt: new Date().toISOString() });
+  replayFirebaseJournal();
+  return false;
+}
+
+// Send journaled writes in order, a batch per multi-path update
+async function replayFirebaseJournal() {
+  if (!db || !firebaseConnected || firebaseReplaying || firebaseJournal.size === 0) return;
+
+  firebaseReplaying = true;
+  let replayed = 0;
+  try {
+    while (firebaseJournal.size > 0) {
+      const batch = firebaseJournal.peek(FIREBASE_REPLAY_BATCH_SIZE);
+      // Later writes to the same path replace earlier ones, as they would have
+      const update = {};
+      batch.forEach((entry) => {
+        update[entry.path] = entry.data;
+      });
+      await withFirebaseTimeout(db.ref().update(update));
+      firebaseJournal.shift(batch.length);
+      replayed += batch.length;
+    }
+  } catch (error) {
+    console.warn("⚠️  Firebase replay stopped:", error.message);
+  }
+  firebaseReplaying = false;
+
+  if (replayed > 0) {
+    console.log(`📦 Replayed ${replayed} journaled Firebase write(s), ${firebaseJournal.size} left`);
+  }
+}
+
+if (db) {
+  db.ref(".info/connected").on("value", (snapshot) => {
+    firebaseConnected = snapshot.val() === true;
+    console.log(firebaseConnected ? "✅ Firebase connected" : "⚠️  Firebase disconnected");
+    replayFirebaseJournal();
+  });
+  setInterval(replayFirebaseJournal, FIREBASE_REPLAY_INTERVAL_MS);
+}
+
+async function logToFirebase(logType, data) {
+  if (!db) {
+    console.warn("⚠️  Firebase not available, skipping log");
+    return;
+  }
+  // Use timestamp without dots (Firebase doesn't allow dots in keys)
+  const timestamp = new Date().toISOString().replace(/\./g, "_");
+  const logPath = `logs/${logType}/${timestamp}`;
+  if (await writeToFirebase(logPath, data)) {
+    console.log("📝 Firebase log saved:", logPath);
+  }
+}
+
+async function saveToFirebase(path, data) {
+  if (!db) {
+    console.warn("⚠️  Firebase not available, skipping write to", path);
+    return;
+  }
+  if (await writeToFirebase(path, data)) {
+    console.log("📝 Firebase write successful:", path);
+  }
+}
+
+async function loadFromFirebase(path) {
+  if (!db) {
+    console.warn("⚠️  Firebase not available, skipping read from", path);
+    return null;
+  }
+  try {
+    const snapshot = await Promise.race([
+      db.ref(path).once("value"),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("Firebase read timeout")), 5000)
+      ),
+    ]);
+    console.log("📖 Firebase read successful:", path);
+    return snapshot.val();
+  } catch (error) {
+    console.warn("⚠️  Firebase read error:", error.message);
+    return null;
+  }
+}
+
+
+
+// ===============================
+// Sensor History
+// ===============================
+
+// Store one telemetry sample (best-effort, like Firebase)
+async function saveSensorReading(deviceId, state) {
+  try {
+    await storage.saveSensorReading(deviceId, state);
+  } catch (error) {
+    console.warn("⚠️  Failed to store sensor reading:", error.message);
+  }
+}
+
+// ===============================
+// Background Jobs
+// ===============================
+
+// name -> { running, lastStartedAt, lastFinishedAt, lastStatus, lastError, lastStats }
+const jobStatus = {};
+
+// Run a background job, record how it went and persist that to storage
+// so the admin storage report survives restarts. Overlapping runs of the
+// same job are skipped.
+async function runJob(name, fn) {
+  const status = jobStatus[name] || (jobStatus[name] = {});
+  if (status.running) return;
+
+  status.running = true;
+  status.lastStartedAt = new Date().toISOString();
+  try {
+    status.lastStats = (await fn()) || null;
+    status.lastStatus = "ok";
+    status.lastError = null;
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error.message);
+    status.lastStatus = "error";
+    status.lastError = error.message;
+  }
+  status.running = false;
+  status.lastFinishedAt = new Date().toISOString();
+
+  try {
+    await storage.saveJobRun(name, status);
+  } catch (error) {
+    console.warn("⚠️  Failed to record job run:", name, error.message);
+  }
+}
+
+async function loadJobStatus() {
+  try {
+    const runs = await storage.loadJobRuns();
+    Object.entries(runs).forEach(([name, run]) => {
+      jobStatus[name] = { running: false, ...run };
+    });
+  } catch (error) {
+    console.warn("⚠️  Failed to load job status:", error.message);
+  }
+}
+
+loadJobStatus();
+
+// ===============================
+// Data Retention
+// ===============================
+
+// Read a numeric setting where 0 is a meaningful value
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && !isNaN(value) ? value : fallback;
+}
+
+// Days to keep each kind of data; 0 keeps it forever
+const RETENTION = {
+  rawDays: numberFromEnv("RETENTION_RAW_DAYS", 7),
+  hourlyDays: numberFromEnv("RETENTION_HOURLY_DAYS", 365),
+  dailyDays: numberFromEnv("RETENTION_DAILY_DAYS", 0),
+  commandDays: numberFromEnv("RETENTION_COMMAND_DAYS", 90),
+  alertDays: numberFromEnv("RETENTION_ALERT_DAYS", 90),
+  deviceEventDays: numberFromEnv("RETENTION_DEVICE_EVENT_DAYS", 90),
+};
+const RETENTION_INTERVAL_MS = numberFromEnv("RETENTION_INTERVAL_MINUTES", 60) * 60000;
+const FIREBASE_BATCH_SIZE = 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+// Firebase log keys are ISO timestamps with "_" for ".", so they sort in
+// time order and a cutoff can be expressed as a key
+function firebaseKey(date) {
+  return date.toISOString().replace(/\./g, "_");
+}
+
+function firebaseKeyToDate(key) {
+  return new Date(key.replace(/_/g, "."));
+}
+
+// Read up to FIREBASE_BATCH_SIZE children of `path` with keys before `cutoff`
+async function readFirebaseBatch(path, cutoff) {
+  const snapshot = await db.ref(path)
+    .orderByKey()
+    .endAt(firebaseKey(cutoff))
+    .limitToFirst(FIREBASE_BATCH_SIZE)
+    .once("value");
+  return snapshot.val() || {};
+}
+
+// Merge rollups into logs/sensor_rollups/<bucket>/<bucketKey>/<deviceId>
+async function writeFirebaseRollups(bucket, rollups) {
+  for (const [path, rollup] of Object.entries(rollups)) {
+    const ref = db.ref(`logs/sensor_rollups/${bucket}/${path}`);
+    const existing = (await ref.once("value")).val();
+    await ref.set(mergeRollups(existing, rollup));
+  }
+}
+
+// Same compaction as storage.applyRetention for the logs/ mirror in Firebase
+async function compactFirebaseLogs() {
+  const stats = { rawRolledUp: 0, hourlyRolledUp: 0, dailyDeleted: 0, commandsDeleted: 0 };
+
+  if (RETENTION.rawDays > 0) {
+    const cutoff = daysAgo(RETENTION.rawDays);
+    for (;;) {
+      const batch = await readFirebaseBatch("logs/sensor_data", cutoff);
+      const keys = Object.keys(batch);
+      if (keys.length === 0) break;
+
+      const rollups = {};
+      keys.forEach((key) => {
+        const sample = batch[key];
+        const hour = firebaseKeyToDate(key);
+        hour.setUTCMinutes(0, 0, 0);
+        const path = `${firebaseKey(hour)}/${sample.deviceId || DEFAULT_DEVICE_ID}`;
+        rollups[path] = mergeRollups(rollups[path], sampleToRollup(sample));
+      });
+      await writeFirebaseRollups("hour", rollups);
+      await db.ref("logs/sensor_data").update(Object.fromEntries(keys.map((key) => [key, null])));
+      stats.rawRolledUp += keys.length;
+    }
+  }
+
+  if (RETENTION.hourlyDays > 0) {
+    const cutoff = daysAgo(RETENTION.hourlyDays);
+    for (;;) {
+      const batch = await readFirebaseBatch("logs/sensor_rollups/hour", cutoff);
+      const hourKeys = Object.keys(batch);
+      if (hourKeys.length === 0) break;
+
+      const rollups = {};
+      hourKeys.forEach((hourKey) => {
+        const day = startOfDayInTimezone(firebaseKeyToDate(hourKey), DEFAULT_TIMEZONE);
+        Object.entries(batch[hourKey]).forEach(([deviceId, rollup]) => {
+          const path = `${firebaseKey(day)}/${deviceId}`;
+          rollups[path] = mergeRollups(rollups[path], rollup);
+          stats.hourlyRolledUp++;
+        });
+      });
+      await writeFirebaseRollups("day", rollups);
+      await db.ref("logs/sensor_rollups/hour").update(Object.fromEntries(hourKeys.map((key) => [key, null])));
+    }
+  }
+
+  const expire = async (path, days, stat) => {
+    if (days <= 0) return;
+    for (;;) {
+      const keys = Object.keys(await readFirebaseBatch(path, daysAgo(days)));
+      if (keys.length === 0) break;
+      await db.ref(path).update(Object.fromEntries(keys.map((key) => [key, null])));
+      stats[stat] += keys.length;
+    }
+  };
+  await expire("logs/sensor_rollups/day", RETENTION.dailyDays, "dailyDeleted");
+  await expire("logs/commands", RETENTION.commandDays, "commandsDeleted");
+
+  return stats;
+}
+
+async function runRetention() {
+  const stats = { storage: null, firebase: null };
+  const errors = [];
+
+  try {
+    stats.storage = await storage.applyRetention(RETENTION, DEFAULT_TIMEZONE);
+  } catch (error) {
+    errors.push(`${storage.name}: ` + error.message);
+  }
+
+  if (db) {
+    try {
+      stats.firebase = await compactFirebaseLogs();
+    } catch (error) {
+      errors.push("firebase: " + error.message);
+    }
+  }
+
+  console.log("🧹 Retention finished:", JSON.stringify(stats));
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  return stats;
+}
+
+if (RETENTION_INTERVAL_MS > 0) {
+  setInterval(() => runJob("retention", runRetention), RETENTION_INTERVAL_MS);
+}
+
+// Revoked and expired rows in user_tokens are of no further use
+const TOKEN_PURGE_INTERVAL_MS = numberFromEnv("TOKEN_PURGE_INTERVAL_MINUTES", 60) * 60000;
+
+async function purgeTokens() {
+  const tokensDeleted = await storage.purgeTokens();
+  console.log("🧹 Purged tokens:", tokensDeleted);
+  return { tokensDeleted };
+}
+
+if (TOKEN_PURGE_INTERVAL_MS > 0) {
+  setInterval(() => runJob("token_purge", purgeTokens), TOKEN_PURGE_INTERVAL_MS);
+}
+
+// ===============================
+// Weather
+// ===============================
+
+// Outdoor conditions for WEATHER_LATITUDE / WEATHER_LONGITUDE, refreshed
+// every WEATHER_REFRESH_MINUTES. For each device the owner's settings decide
+// whether AUTO should keep the window closed (rain, wind, warmer outside);
+// the decision goes to the controller as the weather hold in CONFIG, so it
+// keeps working without the server. Manual OPEN still opens the window.
+const WEATHER_PROVIDER = process.env.WEATHER_PROVIDER || "open-meteo";
+const WEATHER_LOCATION = {
+  latitude: numberFromEnv("WEATHER_LATITUDE", null),
+  longitude: numberFromEnv("WEATHER_LONGITUDE", null),
+  name: process.env.WEATHER_LOCATION_NAME || null,
+};
+const WEATHER_REFRESH_MS = numberFromEnv("WEATHER_REFRESH_MINUTES", 10) * 60 * 1000;
+// Older than this the weather is ignored and AUTO uses indoor values only
+const WEATHER_MAX_AGE_MS = 3 * WEATHER_REFRESH_MS;
+const WEATHER_ENABLED = WEATHER_LOCATION.latitude !== null && WEATHER_LOCATION.longitude !== null;
+
+// Point WEATHER_URL at a local mock to test without the real service.
+// URLs may contain {lat} and {lon}.
+const weatherProvider = WEATHER_ENABLED
+  ? createWeatherProvider(WEATHER_PROVIDER, {
+    url: process.env.WEATHER_URL || "https://api.open-meteo.com/v1/forecast",
+    timeoutMs: 10000,
+    lookaheadHours: numberFromEnv("WEATHER_RAIN_LOOKAHEAD_HOURS", 2),
+    rainProbability: numberFromEnv("WEATHER_RAIN_PROBABILITY", 60), // %
+  })
+  : null;
+
+if (!WEATHER_ENABLED) {
+  console.warn("⚠️  WEATHER_LATITUDE / WEATHER_LONGITUDE not set: AUTO mode ignores the weather");
+}
+
+// Last observation; error is the last failed refresh (null once one works)
+const weather = { current: null, updatedAt: null, error: null };
+
+function currentWeather() {
+  if (!weather.current || Date.now() - new Date(weather.updatedAt).getTime() > WEATHER_MAX_AGE_MS) {
+    return null;
+  }
+  return weather.current;
+}
+
+function serializeWeather() {
+  return {
+    enabled: WEATHER_ENABLED,
+    provider: WEATHER_ENABLED ? weatherProvider.name : null,
+    location: WEATHER_ENABLED ? WEATHER_LOCATION : null,
+    current: weather.current,
+    updatedAt: weather.updatedAt,
+    stale: weather.current !== null && currentWeather() === null,
+    error: weather.error,
+  };
+}
+
+// Hold reason for a device with its owner's settings; indoor is unknown
+// until the device has reported
+function weatherHoldFor(device, settings) {
+  const indoor = device.state.timestamp ? device.state.temperature : null;
+  return weatherHoldReason(currentWeather(), indoor, settings);
+}
+
+function setWeatherHold(device, reason) {
+  if (device.weatherHold === reason) return;
+  device.weatherHold = reason;
+  console.log(reason ? `🌧 Weather hold on ${device.id}: ${reason}` : `🌤 Weather hold lifted on ${device.id}`);
+  broadcastToBrowser(device.id, { deviceId: device.id, reason }, "weather_hold");
+}
+
+// Outdoor conditions go to every dashboard; they are not per device
+function broadcastWeather() {
+  wss.clients.forEach((client) => {
+    if (client.role === "BROWSER" && client.authenticated && client.protocolVersion) {
+      sendFrame(client, "weather", serializeWeather());
+    }
+  });
+}
+
+async function refreshWeather() {
+  let failure = null;
+  try {
+    weather.current = await weatherProvider.fetchCurrent(WEATHER_LOCATION);
+    weather.updatedAt = new Date().toISOString();
+    weather.error = null;
   } catch (error) {
-    console.warn("⚠️  Firebase unavailable");
-    res.json({ command: null, timestamp: null });
+    failure = error;
+    weather.error = error.message;
   }
-});
 
-// ===============================
-// System State
-// ===============================
+  // Connected devices whose hold changed get a new CONFIG (also when the
+  // weather went stale and the hold is lifted)
+  let holdsChanged = 0;
+  for (const device of devices.values()) {
+    if (!isDeviceOnline(device.id)) continue;
+    const reason = weatherHoldFor(device, await loadDeviceSettings(device));
+    if (reason !== device.weatherHold) {
+      holdsChanged += 1;
+      await pushDeviceConfig(device.id);
+    }
+  }
 
-let systemState = {
-  temperature: 0,
-  light: 0,
-  window: "CLOSE",
-  mode: "AUTO",
-  timestamp: null,
-};
-let previousWindowState = "CLOSE";
+  broadcastWeather();
+  if (failure) throw failure;
+  return { holdsChanged };
+}
 
-let lastTempAlert = 0;
-let lastLightAlert = 0;
-let lastWindowAlert = 0;
+if (WEATHER_ENABLED) {
+  runJob("weather", refreshWeather);
+  setInterval(() => runJob("weather", refreshWeather), WEATHER_REFRESH_MS);
+}
 
-const ALERT_INTERVAL = 60000; // 1 minute
+// Outdoor conditions for the dashboard
+app.get("/api/weather", authenticateToken, (req, res) => {
+  res.json(serializeWeather());
+});
 
 // ===============================
-// Firebase Helper Functions
+// Message Protocol
 // ===============================
 
-async function logToFirebase(logType, data) {
-  if (!db) {
-    console.warn("⚠️  Firebase not available, skipping log");
-    return;
+// JSON frames are envelopes: { type, version, id, payload }. `id` on a
+// reply (ack, error, hello) is the id of the frame it answers; for commands
+// it is the command ID. Clients that open with a `hello` envelope are sent
+// envelopes; clients using the legacy strings (ROLE:, DEVICE:, AUTH:, OPEN,
+// bare sensor JSON) keep getting the legacy format.
+const PROTOCOL_VERSION = 1;
+
+// Payload schema per message type: field -> { type, required, enum }
+const MESSAGE_SCHEMAS = {
+  // client -> server: open a session (browser: token, ESP32: key)
+  hello: {
+    role: { type: "string", required: true, enum: ["BROWSER", "ESP32"] },
+    deviceId: { type: "string" },
+    token: { type: "string" },
+    key: { type: "string" },
+  },
+  // ESP32 -> server, and server -> browser
+  telemetry: {
+    temperature: { type: "number", required: true },
+    light: { type: "number", required: true },
+    window: { type: "string", required: true, enum: ["OPEN", "CLOSE"] },
+    mode: { type: "string", enum: ["AUTO", "MANUAL"] },
+    // server -> browser: temperature (°C) and light (lux) are calibrated,
+    // these are the values the controller reported
+    temperatureRaw: { type: "number" },
+    lightRaw: { type: "number" },
+  },
+  // browser -> server, and server -> ESP32
+  command: {
+    command: { type: "string", required: true, enum: DEVICE_COMMANDS },
+    deviceId: { type: "string" },
+  },
+  // ESP32 -> server (id = command ID), and server -> browser with the outcome
+  ack: {
+    ok: { type: "boolean", required: true },
+    reason: { type: "string" },
+  },
+  // server -> ESP32
+  config: {
+    autoOpenTemp: { type: "number", required: true },
+    autoCloseTemp: { type: "number", required: true },
+    lightThreshold: { type: "number", required: true },
+    autoMode: { type: "boolean", required: true },
+    weatherHold: { type: "boolean" },
+  },
+  // server -> browser when a device's sensor fault starts (fault: "invalid"
+  // or "stuck") or clears (fault null)
+  sensor_status: {
+    deviceId: { type: "string", required: true },
+    fault: { type: "string", enum: ["invalid", "stuck"] },
+    since: { type: "string" },
+  },
+  // server -> browser: outdoor conditions, see serializeWeather()
+  weather: {
+    enabled: { type: "boolean", required: true },
+  },
+  // server -> browser when AUTO starts keeping a window closed because of
+  // the weather (reason: rain, rain_forecast, wind, warmer_outside) or stops
+  weather_hold: {
+    deviceId: { type: "string", required: true },
+    reason: { type: "string" },
+  },
+  // server -> browser when a controller connects or goes silent
+  device_status: {
+    deviceId: { type: "string", required: true },
+    online: { type: "boolean", required: true },
+    lastSeen: { type: "string" },
+    reason: { type: "string" },
+  },
+  // server -> browser, sent to every open dashboard of the user
+  notification: {
+    event: { type: "string", required: true },
+    title: { type: "string", required: true },
+    text: { type: "string", required: true },
+  },
+  // server -> client
+  error: {
+    code: { type: "string", required: true },
+    message: { type: "string", required: true },
+  },
+};
+
+// Check a payload against a schema; returns an error message or null
+function validatePayload(schema, payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return "payload must be an object";
   }
-  try {
-    // Use timestamp without dots (Firebase doesn't allow dots in keys)
-    const timestamp = new Date().toISOString().replace(/\./g, "_");
-    const logPath = `logs/${logType}/${timestamp}`;
-    await db.ref(logPath).set(data);
-    console.log("📝 Firebase log saved:", logPath);
-  } catch (error) {
-    console.warn("⚠️  Firebase log error:", error.message);
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = payload[field];
+    if (value === undefined || value === null) {
+      if (rule.required) return `payload.${field} is required`;
+      continue;
+    }
+    if (typeof value !== rule.type || (rule.type === "number" && !Number.isFinite(value))) {
+      return `payload.${field} must be a ${rule.type}`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return `payload.${field} must be one of ${rule.enum.join(", ")}`;
+    }
   }
+  return null;
 }
 
-async function saveToFirebase(path, data) {
-  if (!db) {
-    console.warn("⚠️  Firebase not available, skipping write to", path);
-    return;
+// Check an envelope; returns { code, message } or null
+function validateFrame(frame) {
+  if (!frame || typeof frame !== "object" || Array.isArray(frame)) {
+    return { code: "invalid_frame", message: "Frame must be a JSON object" };
   }
-  try {
-    await db.ref(path).set(data);
-    console.log("📝 Firebase write successful:", path);
-  } catch (error) {
-    console.error("❌ Firebase write error:", error.message);
+  if (frame.version !== PROTOCOL_VERSION) {
+    return { code: "unsupported_version", message: `Protocol version ${PROTOCOL_VERSION} required` };
   }
-}
-
-async function loadFromFirebase(path) {
-  if (!db) {
-    console.warn("⚠️  Firebase not available, skipping read from", path);
-    return null;
+  if (!MESSAGE_SCHEMAS[frame.type]) {
+    return { code: "unknown_type", message: `Unknown message type: ${frame.type}` };
   }
-  try {
-    const snapshot = await Promise.race([
-      db.ref(path).once("value"),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error("Firebase read timeout")), 5000)
-      ),
-    ]);
-    console.log("📖 Firebase read successful:", path);
-    return snapshot.val();
-  } catch (error) {
-    console.warn("⚠️  Firebase read error:", error.message);
-    return null;
+  if (frame.id !== undefined && (typeof frame.id !== "string" || frame.id.length > 64)) {
+    return { code: "invalid_frame", message: "id must be a string of at most 64 characters" };
   }
+  const payloadError = validatePayload(MESSAGE_SCHEMAS[frame.type], frame.payload);
+  if (payloadError) {
+    return { code: "invalid_payload", message: payloadError };
+  }
+  return null;
+}
+
+function createFrame(type, payload, id) {
+  return { type, version: PROTOCOL_VERSION, id: id || crypto.randomUUID(), payload };
 }
 
+function sendFrame(ws, type, payload, id) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(createFrame(type, payload, id)));
+  }
+}
 
+// Errors are always sent as envelopes; legacy clients ignore them
+function sendError(ws, id, code, message) {
+  sendFrame(ws, "error", { code, message }, id);
+}
 
 // ===============================
 // WebSocket Logic
 // ===============================
 
-wss.on("connection", (ws) => {
+// Close codes sent to sockets that fail or lose authentication
+const WS_CLOSE_UNAUTHENTICATED = 4001; // missing, invalid or late AUTH
+const WS_CLOSE_REVOKED = 4002; // token revoked/expired or device key rotated
+const WS_CLOSE_RATE_LIMITED = 4008; // kept sending after being told to slow down
+
+// Messages per second a socket may send (bursts up to WS_RATE_BURST).
+// Extra messages are dropped with a "rate_limited" error; a socket that has
+// WS_RATE_MAX_DROPPED dropped in a row is closed.
+const WS_RATE_PER_SECOND = numberFromEnv("WS_RATE_PER_SECOND", 10);
+const WS_RATE_BURST = numberFromEnv("WS_RATE_BURST", 20);
+const WS_RATE_MAX_DROPPED = numberFromEnv("WS_RATE_MAX_DROPPED", 50);
+
+const WS_AUTH_TIMEOUT_MS = Number(process.env.WS_AUTH_TIMEOUT_MS) || 10000;
+const WS_SESSION_CHECK_MS = Number(process.env.WS_SESSION_CHECK_MS) || 30000;
+
+// Handshake (envelope):
+//   Browser: hello { role: "BROWSER", token, deviceId? }
+//   ESP32:   hello { role: "ESP32", deviceId, key }
+// Handshake (legacy):
+//   Browser: ROLE:BROWSER, AUTH:<jwt>, then DEVICE:<id> to pick a window
+//   ESP32:   ROLE:ESP32, DEVICE:<id>, AUTH:<device api key>
+// Anything else before a successful handshake closes the socket.
+wss.on("connection", (ws, req) => {
   console.log("Client Connected");
   ws.role = "UNKNOWN";
-  ws.userId = null;
+  // Same TRUST_PROXY rules as req.ip
+  ws.ipAddress = (proxyaddr(req, app.get("trust proxy fn")) || "").slice(0, 45) || null;
+  ws.userAgent = (req.headers["user-agent"] || "").slice(0, 255) || null;
+  ws.user = null;
+  ws.tokenId = null;
+  ws.deviceId = null;
+  ws.authenticated = false;
+  ws.protocolVersion = null; // set once the client speaks envelopes
+  ws.lastSeenAt = Date.now();
+  ws.offlineReason = null; // "timeout" when dropped by the heartbeat check
+  ws.rateLimit = createTokenBucket({ ratePerSecond: WS_RATE_PER_SECOND, burst: WS_RATE_BURST });
+  ws.droppedMessages = 0;
+
+  ws.authTimer = setTimeout(() => {
+    if (!ws.authenticated) {
+      ws.close(WS_CLOSE_UNAUTHENTICATED, "Authentication timeout");
+    }
+  }, WS_AUTH_TIMEOUT_MS);
+
+  // Messages from one socket are handled in order, so the async AUTH
+  // check finishes before the next frame is looked at.
+  let pending = Promise.resolve();
+  ws.on("pong", () => markSocketAlive(ws));
+  ws.on("message", (message) => {
+    markSocketAlive(ws);
+
+    // Dropped before queueing, so a flood cannot pile up work
+    if (!ws.rateLimit.take()) {
+      ws.droppedMessages++;
+      if (ws.droppedMessages === 1) {
+        sendError(ws, null, "rate_limited", "Too many messages, slow down");
+      } else if (ws.droppedMessages === WS_RATE_MAX_DROPPED) {
+        console.warn("⚠️  Closing socket that keeps flooding:", ws.role, ws.deviceId || "", ws.ipAddress);
+        ws.close(WS_CLOSE_RATE_LIMITED, "Rate limit exceeded");
+      }
+      return;
+    }
+    ws.droppedMessages = 0;
+
+    pending = pending
+      .then(() => handleMessage(ws, message.toString()))
+      .catch((err) => {
+        console.error("WebSocket handler error:", err && err.message ? err.message : err);
+      });
+  });
+
+  ws.on("close", (code) => {
+    clearTimeout(ws.authTimer);
+    if (ws.role === "ESP32" && ws.authenticated && !isDeviceOnline(ws.deviceId)) {
+      failPendingCommands(ws.deviceId);
+      recordDeviceStatus(getDevice(ws.deviceId), false, ws.offlineReason || "closed");
+    }
+    console.log("Client Disconnected:", ws.role, ws.deviceId || "", code);
+  });
+});
+
+async function handleMessage(ws, msg) {
+  if (ws.readyState !== WebSocket.OPEN) return;
 
-  ws.on("message", async (message) => {
-    const msg = message.toString();
+  if (msg.trimStart().startsWith("{")) {
+    let frame;
+    try {
+      frame = JSON.parse(msg);
+    } catch (err) {
+      sendError(ws, null, "invalid_json", "Frame is not valid JSON");
+      return;
+    }
 
-    // ===============================
-    // ROLE REGISTER
-    // ===============================
-    if (msg.startsWith("ROLE:")) {
-      ws.role = msg.split(":")[1];
-      console.log("Role:", ws.role);
+    // Legacy firmware sends bare sensor JSON without an envelope
+    if (frame && typeof frame === "object" && frame.type === undefined) {
+      if (!ws.authenticated) {
+        ws.close(WS_CLOSE_UNAUTHENTICATED, "Authentication required");
+        return;
+      }
+      if (ws.role !== "ESP32") {
+        sendError(ws, null, "invalid_frame", "Frame has no type");
+        return;
+      }
+      const payloadError = validatePayload(MESSAGE_SCHEMAS.telemetry, frame);
+      if (payloadError) {
+        rejectTelemetry(ws.deviceId, payloadError);
+        sendError(ws, null, "invalid_payload", payloadError);
+        return;
+      }
+      await handleTelemetry(ws.deviceId, frame);
       return;
     }
 
-    // ===============================
-    // USER ID (for browser clients with token)
-    // ===============================
-    if (msg.startsWith("USER:")) {
-      ws.userId = msg.split(":")[1];
-      console.log("User ID:", ws.userId);
+    await handleFrame(ws, frame);
+    return;
+  }
+
+  await handleLegacyMessage(ws, msg.trim());
+}
+
+// ===============================
+// Envelope Messages
+// ===============================
+
+async function handleFrame(ws, frame) {
+  const frameError = validateFrame(frame);
+  if (frameError) {
+    if (frameError.code === "invalid_payload" && frame.type === "telemetry" && ws.role === "ESP32" && ws.authenticated) {
+      rejectTelemetry(ws.deviceId, frameError.message);
+    }
+    sendError(ws, typeof frame.id === "string" ? frame.id : null, frameError.code, frameError.message);
+    return;
+  }
+
+  const { type, id, payload } = frame;
+
+  if (type === "hello") {
+    await handleHello(ws, id, payload);
+    return;
+  }
+
+  if (!ws.authenticated) {
+    ws.close(WS_CLOSE_UNAUTHENTICATED, "Authentication required");
+    return;
+  }
+
+  if (type === "telemetry" && ws.role === "ESP32") {
+    await handleTelemetry(ws.deviceId, payload);
+  } else if (type === "ack" && ws.role === "ESP32") {
+    handleCommandReply(ws.deviceId, id, payload.ok, payload.reason);
+  } else if (type === "command" && ws.role === "BROWSER") {
+    handleBrowserCommand(ws, payload.command, payload.deviceId, id);
+  } else {
+    sendError(ws, id, "unexpected_type", `${ws.role} clients cannot send ${type}`);
+  }
+}
+
+async function handleHello(ws, id, payload) {
+  // An authenticated browser may send hello again to switch device
+  if (ws.authenticated) {
+    if (ws.role === "BROWSER" && payload.deviceId) {
+      selectBrowserDevice(ws, payload.deviceId, id);
+    }
+    return;
+  }
+
+  ws.protocolVersion = PROTOCOL_VERSION;
+  ws.role = payload.role;
+  if (ws.role === "ESP32" && payload.deviceId) {
+    if (!isValidDeviceId(payload.deviceId)) {
+      ws.close(WS_CLOSE_UNAUTHENTICATED, "Invalid device ID");
       return;
     }
+    ws.deviceId = payload.deviceId;
+  }
+
+  const credential = ws.role === "ESP32" ? payload.key : payload.token;
+  if (!(await authenticateSocket(ws, credential || ""))) return;
+
+  if (ws.role === "BROWSER" && payload.deviceId) {
+    selectBrowserDevice(ws, payload.deviceId, id);
+  }
+
+  sendFrame(ws, "hello", {
+    ok: true,
+    role: ws.role,
+    deviceId: ws.deviceId,
+    serverVersion: PROTOCOL_VERSION,
+  }, id);
+
+  if (ws.role === "ESP32") {
+    await pushDeviceConfig(ws.deviceId);
+  }
+}
+
+// ===============================
+// Legacy Messages
+// ===============================
+
+async function handleLegacyMessage(ws, msg) {
+  // ===============================
+  // ROLE REGISTER
+  // ===============================
+  if (msg.startsWith("ROLE:")) {
+    if (ws.authenticated) return;
+    ws.role = msg.split(":")[1];
+    console.log("Role:", ws.role);
+    return;
+  }
+
+  // ===============================
+  // AUTH (browser: JWT, ESP32: device API key)
+  // ===============================
+  if (msg.startsWith("AUTH:")) {
+    if (ws.authenticated) return;
+    if (!(await authenticateSocket(ws, msg.slice("AUTH:".length).trim()))) return;
 
-    // ===============================
-    // ESP32 DATA
-    // ===============================
     if (ws.role === "ESP32") {
-      try {
-        const data = JSON.parse(msg);
-
-        systemState.temperature = data.temperature;
-        systemState.light = data.light;
-        systemState.window = data.window;
-        systemState.mode = data.mode || "AUTO";
-        systemState.timestamp = new Date().toISOString();
-
-        // Save to Firebase Realtime Database (logs)
-        await logToFirebase("sensor_data", {
-          temperature: systemState.temperature,
-          light: systemState.light,
-          window: systemState.window,
-          mode: systemState.mode,
-        });
+      await pushDeviceConfig(ws.deviceId);
+    }
+    return;
+  }
 
-        // Also update current state
-        await saveToFirebase("current_state", {
-          temperature: systemState.temperature,
-          light: systemState.light,
-          window: systemState.window,
-          mode: systemState.mode,
-          timestamp: systemState.timestamp,
-        });
+  // ===============================
+  // DEVICE ID (ESP32: own ID, browser: device to control)
+  // ===============================
+  if (msg.startsWith("DEVICE:")) {
+    const deviceId = msg.slice("DEVICE:".length).trim();
+    if (ws.role === "ESP32") {
+      // A controller cannot switch identity after authenticating
+      if (ws.authenticated) return;
+      if (!isValidDeviceId(deviceId)) {
+        ws.close(WS_CLOSE_UNAUTHENTICATED, "Invalid device ID");
+        return;
+      }
+      ws.deviceId = deviceId;
+      console.log("Device ID:", ws.deviceId);
+    } else if (!ws.authenticated) {
+      ws.close(WS_CLOSE_UNAUTHENTICATED, "Authentication required");
+    } else {
+      selectBrowserDevice(ws, deviceId, null);
+    }
+    return;
+  }
 
-        // Broadcast to browsers
-        broadcastToBrowser(systemState);
+  if (!ws.authenticated) {
+    ws.close(WS_CLOSE_UNAUTHENTICATED, "Authentication required");
+    return;
+  }
 
-        console.log("Data received:", systemState);
+  // ===============================
+  // ESP32 command replies
+  // ===============================
+  if (ws.role === "ESP32") {
+    if (msg.startsWith("ACK:") || msg.startsWith("NACK:")) {
+      const [kind, commandId, ...reason] = msg.split(":");
+      handleCommandReply(ws.deviceId, commandId, kind === "ACK", reason.join(":"));
+      return;
+    }
+    sendError(ws, null, "invalid_frame", "Unrecognised message");
+    return;
+  }
 
-        // ===============================
-        // Telegram Alert Logic
-        // ===============================
+  // ===============================
+  // Command from Browser
+  // ===============================
+  if (ws.role === "BROWSER") {
+    if (DEVICE_COMMANDS.includes(msg)) {
+      handleBrowserCommand(ws, msg, null, null);
+    } else {
+      sendError(ws, null, "invalid_frame", "Unrecognised message");
+    }
+  }
+}
 
-        if (systemState.window !== previousWindowState) {
-          const alertMessage =
-            `🚨 Smart Window Alert 🚨\n` +
-            `🪟 Window: ${systemState.window}\n` +
-            `🌡 Temperature: ${systemState.temperature}°C\n` +
-            `💡 Light: ${systemState.light} lux`;
+// ===============================
+// Shared Handlers
+// ===============================
 
-          sendTelegram(alertMessage);
-          previousWindowState = systemState.window;
-        }
-      } catch (err) {
-        console.error("ESP32 handler error:", err && err.message ? err.message : err);
+// Authenticate a socket for its role: browsers present a JWT, controllers
+// their device API key. Closes the socket and resolves false on failure.
+async function authenticateSocket(ws, credential) {
+  if (ws.role === "BROWSER") {
+    try {
+      const { user, tokenId } = await verifyUserToken(credential);
+      ws.user = user;
+      ws.tokenId = tokenId;
+    } catch (err) {
+      if (!err.status) {
+        console.error("Token lookup error:", err && err.message ? err.message : err);
       }
+      ws.close(WS_CLOSE_UNAUTHENTICATED, err.status ? err.message : "Authentication failed");
+      return false;
+    }
+  } else if (ws.role === "ESP32") {
+    // Older firmware never announces DEVICE:<id>
+    const deviceId = ws.deviceId || DEFAULT_DEVICE_ID;
+    let valid = false;
+    try {
+      valid = await verifyDeviceKey(deviceId, credential);
+    } catch (err) {
+      console.error("Device key lookup error:", err && err.message ? err.message : err);
+    }
+    if (!valid) {
+      ws.close(WS_CLOSE_UNAUTHENTICATED, "Invalid device credentials");
+      return false;
     }
+    ws.deviceId = deviceId;
+    registerDevice(deviceId);
+  } else {
+    ws.close(WS_CLOSE_UNAUTHENTICATED, "ROLE required before AUTH");
+    return false;
+  }
 
-    // ===============================
-    // Command from Browser
-    // ===============================
-    if (ws.role === "BROWSER") {
-      if (msg === "OPEN" || msg === "CLOSE" || msg === "AUTO") {
-        systemState.window = msg;
+  ws.authenticated = true;
+  clearTimeout(ws.authTimer);
+  console.log("Authenticated:", ws.role, ws.role === "ESP32" ? ws.deviceId : ws.user.username);
+  return true;
+}
+
+// Point a browser socket at the device it wants to watch and control
+function selectBrowserDevice(ws, deviceId, frameId) {
+  if (!isValidDeviceId(deviceId) || !canAccessDevice(ws.user, devices.get(deviceId))) {
+    console.warn("Device not accessible:", deviceId, "user:", ws.user.username);
+    sendError(ws, frameId, "forbidden", "Device not accessible");
+    return false;
+  }
+  ws.deviceId = deviceId;
+  console.log("Device ID:", ws.deviceId);
+  return true;
+}
+
+function handleBrowserCommand(ws, command, deviceId, frameId) {
+  const targetId = deviceId || ws.deviceId || DEFAULT_DEVICE_ID;
+  const device = devices.get(targetId);
+  if (!device) {
+    sendError(ws, frameId, "not_found", "Device not found");
+    return;
+  }
+  if (!canAccessDevice(ws.user, device)) {
+    console.warn("Command rejected, device not accessible:", targetId);
+    sendError(ws, frameId, "forbidden", "Device not accessible");
+    return;
+  }
+  if (!canControlDevice(ws.user, device)) {
+    sendError(ws, frameId, "forbidden", "Your role cannot send commands to this device");
+    return;
+  }
+  const waitMs = commandCooldownMs(targetId);
+  if (waitMs > 0) {
+    sendError(ws, frameId, "rate_limited", cooldownMessage(waitMs));
+    return;
+  }
+  // Not awaited: the result is sent to the browser once the device answers
+  sendDeviceCommand(targetId, command, "dashboard", ws, { user: ws.user, ipAddress: ws.ipAddress, userAgent: ws.userAgent });
+}
+
+// ===============================
+// ESP32 DATA
+// ===============================
+
+// Ingestion checks on the reported values, see lib/sensors.js
+const SENSOR_SMOOTHING = SMOOTHING_METHODS.includes(process.env.SENSOR_SMOOTHING) ? process.env.SENSOR_SMOOTHING : "none";
+const sensorFilter = createSensorFilter({
+  limits: {
+    temperature: [
+      numberFromEnv("SENSOR_MIN_TEMPERATURE", DEFAULT_LIMITS.temperature[0]),
+      numberFromEnv("SENSOR_MAX_TEMPERATURE", DEFAULT_LIMITS.temperature[1]),
+    ],
+  },
+  maxJump: {
+    temperature: numberFromEnv("SENSOR_MAX_TEMPERATURE_JUMP", 10), // °C between samples
+    light: numberFromEnv("SENSOR_MAX_LIGHT_JUMP", 0), // raw; lights switching on are real jumps
+  },
+  jumpConfirmSamples: numberFromEnv("SENSOR_JUMP_CONFIRM_SAMPLES", 3),
+  jumpResetMs: 10 * 60 * 1000, // after a gap this long any value is plausible
+  smoothing: SENSOR_SMOOTHING,
+  smoothingWindow: Math.max(1, numberFromEnv("SENSOR_SMOOTHING_WINDOW", 5)),
+  stuckMs: numberFromEnv("SENSOR_STUCK_MINUTES", 30) * 60 * 1000,
+  faultMs: numberFromEnv("SENSOR_FAULT_MINUTES", 5) * 60 * 1000,
+});
+
+// Tell browsers when a device's sensor fault starts or clears
+function reportSensorFault(device, fault) {
+  if (fault) {
+    console.warn(`⚠️  Sensor fault on ${device.id}: ${fault.reason}`);
+  } else {
+    console.log("✅ Sensor fault cleared:", device.id);
+  }
+  broadcastToBrowser(device.id, { deviceId: device.id, fault: fault ? fault.reason : null, since: fault ? fault.since : null }, "sensor_status");
+}
 
-        // Send to ESP32
-        sendToESP32(msg);
+// Count a telemetry message that failed the protocol schema
+function rejectTelemetry(deviceId, detail) {
+  const result = sensorFilter.reject(deviceId, "invalid", detail);
+  if (result.faultChanged) reportSensorFault(getDevice(deviceId), result.fault);
+}
 
+// Telemetry from a controller on either transport
+async function handleTelemetry(deviceId, data) {
+  try {
+    const device = getDevice(deviceId);
+    const state = device.state;
+    const result = sensorFilter.check(device.id, data);
+    if (result.faultChanged) reportSensorFault(device, result.fault);
 
-        // Log command to Firebase (best-effort)
-        try {
-          await logToFirebase("commands", {
-            command: msg,
-            window: systemState.window,
-          });
-        } catch (fbErr) {
-          console.warn("Firebase log failed:", fbErr && fbErr.message ? fbErr.message : fbErr);
-        }
+    if (!result.ok) {
+      // Logged until the device is flagged, then only the fault is
+      if (!result.fault) console.warn("⚠️  Sample rejected:", device.id, result.reason, "-", result.detail);
 
-        console.log("Command sent to ESP32:", msg);
+      // Window and mode come from the controller itself, not the sensors
+      if (state.window !== data.window || state.mode !== (data.mode || "AUTO")) {
+        state.window = data.window;
+        state.mode = data.mode || "AUTO";
+        broadcastToBrowser(device.id, { deviceId: device.id, ...state });
+        evaluateAlerts(device, state, ["window"]);
       }
+      return;
     }
-  });
 
-  ws.on("close", () => {
-    console.log("Client Disconnected:", ws.role);
+    Object.assign(state, calibrateReading(device.calibration, result.reading), {
+      temperatureRaw: data.temperature,
+      lightRaw: data.light,
+    });
+    state.window = data.window;
+    state.mode = data.mode || "AUTO";
+    state.timestamp = new Date().toISOString();
+
+    // Save to Firebase Realtime Database (logs)
+    await logToFirebase("sensor_data", {
+      deviceId: device.id,
+      temperature: state.temperature,
+      light: state.light,
+      window: state.window,
+      mode: state.mode,
+    });
+
+    await saveSensorReading(device.id, state);
+
+    // Also update current state
+    await saveToFirebase(`devices/${device.id}/current_state`, {
+      temperature: state.temperature,
+      light: state.light,
+      window: state.window,
+      mode: state.mode,
+      timestamp: state.timestamp,
+    });
+
+    // Broadcast to browsers
+    broadcastToBrowser(device.id, { deviceId: device.id, ...state });
+
+    console.log("Data received:", device.id, state);
+
+    evaluateAlerts(device, state, ["temperature", "light", "window"]);
+  } catch (err) {
+    console.error("ESP32 handler error:", err && err.message ? err.message : err);
+  }
+}
+
+// Close browser sockets of revoked sessions right away instead of at the
+// next session check
+function closeSessionSockets(tokenIds) {
+  const revoked = new Set(tokenIds.map(String));
+  wss.clients.forEach((client) => {
+    if (client.authenticated && client.tokenId != null && revoked.has(String(client.tokenId))) {
+      client.close(WS_CLOSE_REVOKED, "Session revoked");
+    }
   });
-});
+}
+
+async function checkSocketSessions() {
+  const sockets = [...wss.clients].filter((client) => client.authenticated && client.tokenId);
+  if (sockets.length === 0) return;
+
+  try {
+    const invalid = new Set(await storage.findInvalidTokenIds(sockets.map((client) => client.tokenId)));
+    const now = Date.now() / 1000;
+
+    // A session socket lives as long as its session; the short-lived
+    // access token it opened with may expire meanwhile
+    sockets.forEach((client) => {
+      if (invalid.has(client.tokenId) || (!client.user.sid && client.user.exp && client.user.exp < now)) {
+        client.close(WS_CLOSE_REVOKED, "Token revoked or expired");
+      }
+    });
+  } catch (error) {
+    console.warn("⚠️  Socket session check failed:", error.message);
+  }
+}
+
+setInterval(checkSocketSessions, WS_SESSION_CHECK_MS);
 
 // ===============================
 // Broadcast to Browser
 // ===============================
 
-function broadcastToBrowser(data) {
+// Only browsers whose user may see the device receive its updates.
+// Legacy clients get telemetry as bare JSON, other types as { type, ... }.
+function broadcastToBrowser(deviceId, data, type = "telemetry") {
+  const device = getDevice(deviceId);
   wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN && client.role === "BROWSER") {
-      client.send(JSON.stringify(data));
+    if (
+      client.readyState === WebSocket.OPEN &&
+      client.role === "BROWSER" &&
+      client.authenticated &&
+      canAccessDevice(client.user, device)
+    ) {
+      if (client.protocolVersion) {
+        sendFrame(client, type, data);
+      } else {
+        client.send(JSON.stringify(type === "telemetry" ? data : { type, ...data }));
+      }
     }
   });
 }
@@ -757,14 +4700,148 @@ function broadcastToBrowser(data) {
 // Send Command to ESP32
 // ===============================
 
-function sendToESP32(command) {
+// Envelope clients get `frame`, legacy firmware gets `legacyMessage`.
+// Devices on MQTT get `legacyMessage` on their cmd or config topic.
+function sendToESP32(deviceId, legacyMessage, frame) {
+  if (deviceTransport(deviceId) === "mqtt") {
+    mqttTransport.publish(deviceId, frame.type, legacyMessage);
+    return;
+  }
   wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN && client.role === "ESP32") {
-      client.send(command);
+    if (
+      client.readyState === WebSocket.OPEN &&
+      client.role === "ESP32" &&
+      client.authenticated &&
+      client.deviceId === deviceId
+    ) {
+      client.send(client.protocolVersion ? JSON.stringify(frame) : legacyMessage);
     }
   });
 }
 
+// ===============================
+// MQTT Bridge
+// ===============================
+
+// Controllers on MQTT (see lib/mqtt.js) go through the same paths as
+// WebSocket controllers: handleTelemetry(), command replies, online and
+// offline events and CONFIG pushes. Commands go out over whichever
+// transport the device is on, see sendToESP32().
+const MQTT_MODE = MQTT_MODES.includes(process.env.MQTT_MODE) ? process.env.MQTT_MODE : "off";
+
+// Per device: messages are handled in order and rate limited like a socket
+const mqttQueues = new Map(); // deviceId -> promise of the last message
+const mqttLimits = new Map(); // deviceId -> { bucket, dropped }
+
+// Same check as the socket handshake; false on any error
+async function authenticateMqttDevice(deviceId, apiKey) {
+  if (!isValidDeviceId(deviceId)) return false;
+  try {
+    return await verifyDeviceKey(deviceId, apiKey);
+  } catch (err) {
+    console.error("Device key lookup error:", err && err.message ? err.message : err);
+    return false;
+  }
+}
+
+// With an external broker: only devices that have an API key
+async function isRegisteredDevice(deviceId) {
+  return isValidDeviceId(deviceId) && Boolean(await storage.getDeviceKeyHash(deviceId));
+}
+
+function handleMqttConnect(deviceId) {
+  console.log("Authenticated: ESP32", deviceId, "(MQTT)");
+  // The device counts as connected once this returns, so registration
+  // still sees it offline; the CONFIG push needs it connected
+  registerDevice(deviceId).then(() => pushDeviceConfig(deviceId));
+}
+
+function handleMqttDisconnect(deviceId, reason) {
+  console.log("Client Disconnected: ESP32", deviceId, `(MQTT, ${reason})`);
+  // Still reachable over a WebSocket
+  if (isDeviceOnline(deviceId)) return;
+  failPendingCommands(deviceId);
+  recordDeviceStatus(getDevice(deviceId), false, reason);
+}
+
+function handleMqttMessage(deviceId, kind, text) {
+  const device = getDevice(deviceId);
+  device.lastSeen = new Date().toISOString();
+  if (Date.now() - (device.lastSeenSavedAt || 0) >= DEVICE_LAST_SEEN_SAVE_MS) {
+    device.lastSeenSavedAt = Date.now();
+    storage.touchDevice(deviceId).catch((error) => {
+      console.warn("⚠️  Failed to save last seen for", deviceId, error.message);
+    });
+  }
+
+  if (!mqttLimits.has(deviceId)) {
+    mqttLimits.set(deviceId, {
+      bucket: createTokenBucket({ ratePerSecond: WS_RATE_PER_SECOND, burst: WS_RATE_BURST }),
+      dropped: 0,
+    });
+  }
+  const limit = mqttLimits.get(deviceId);
+  if (!limit.bucket.take()) {
+    limit.dropped++;
+    if (limit.dropped === 1) console.warn("⚠️  Too many MQTT messages from", deviceId, "- dropping");
+    return;
+  }
+  limit.dropped = 0;
+
+  const previous = mqttQueues.get(deviceId) || Promise.resolve();
+  const next = previous
+    .then(() => (kind === "state" ? handleMqttState(deviceId, text) : handleMqttReply(deviceId, text)))
+    .catch((err) => {
+      console.error("MQTT handler error:", err && err.message ? err.message : err);
+    });
+  mqttQueues.set(deviceId, next);
+}
+
+async function handleMqttState(deviceId, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    rejectTelemetry(deviceId, "State is not valid JSON");
+    return;
+  }
+  const payloadError = validatePayload(MESSAGE_SCHEMAS.telemetry, data);
+  if (payloadError) {
+    rejectTelemetry(deviceId, payloadError);
+    return;
+  }
+  await handleTelemetry(deviceId, data);
+}
+
+// ACK:<commandId> or NACK:<commandId>:<reason>, as over WebSocket
+function handleMqttReply(deviceId, text) {
+  const [kind, commandId, ...reason] = text.trim().split(":");
+  if ((kind !== "ACK" && kind !== "NACK") || !commandId) {
+    console.warn("⚠️  Unrecognised MQTT reply from", deviceId, text.slice(0, 100));
+    return;
+  }
+  handleCommandReply(deviceId, commandId, kind === "ACK", reason.join(":"));
+}
+
+const mqttTransport = createMqttTransport({
+  mode: MQTT_MODE,
+  port: numberFromEnv("MQTT_PORT", 1883), // built-in broker
+  url: process.env.MQTT_URL || "mqtt://localhost:1883", // external broker
+  username: process.env.MQTT_USERNAME || null,
+  password: process.env.MQTT_PASSWORD || null,
+  clientId: process.env.MQTT_CLIENT_ID || "smart-window-server",
+  topicPrefix: process.env.MQTT_TOPIC_PREFIX || "smartwindow",
+  offlineTimeoutMs: DEVICE_OFFLINE_TIMEOUT_MS,
+}, {
+  authenticate: authenticateMqttDevice,
+  accept: isRegisteredDevice,
+  onConnect: handleMqttConnect,
+  onDisconnect: handleMqttDisconnect,
+  onMessage: handleMqttMessage,
+});
+
+mqttTransport.start();
+
 // ===============================
 // Start Server
 // ===============================
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { roleForDevice, canControlAs } = require("../lib/roles");
+
+// A member of household 7 and nothing else
+const member = { id: 2, role: "owner" };
+const memberships = new Map([["7", "member"]]);
+
+function canSee(user, device, households) {
+  return roleForDevice(user, device, households) != null;
+}
+
+function canCommand(user, device, households) {
+  return canControlAs(user, roleForDevice(user, device, households));
+}
+
+test("unowned devices are admin-only", () => {
+  const unowned = { id: "win-1", ownerId: null, householdId: null };
+  assert.strictEqual(canSee(member, unowned, memberships), false);
+  assert.strictEqual(canCommand(member, unowned, memberships), false);
+  assert.strictEqual(canSee({ id: 3, role: "member" }, unowned, null), false);
+  assert.strictEqual(roleForDevice({ id: 1, role: "admin" }, unowned, null), "admin");
+});
+
+test("a member of another household cannot see or command a device", () => {
+  const unownedElsewhere = { id: "win-2", ownerId: null, householdId: 5 };
+  const ownedElsewhere = { id: "win-3", ownerId: 9, householdId: 5 };
+  for (const device of [unownedElsewhere, ownedElsewhere]) {
+    assert.strictEqual(canSee(member, device, memberships), false);
+    assert.strictEqual(canCommand(member, device, memberships), false);
+  }
+});
+
+test("household devices follow the household role", () => {
+  const shared = { id: "win-4", ownerId: 9, householdId: 7 };
+  assert.strictEqual(roleForDevice(member, shared, memberships), "member");
+  assert.strictEqual(canCommand(member, shared, memberships), true);
+  // A household viewer watches but does not command
+  assert.strictEqual(canCommand(member, shared, new Map([["7", "viewer"]])), false);
+  // Nor does a viewer account, whatever its household role
+  assert.strictEqual(canCommand({ id: 2, role: "viewer" }, shared, memberships), false);
+});
+
+test("owners control their own devices", () => {
+  const own = { id: "win-5", ownerId: 2, householdId: null };
+  assert.strictEqual(roleForDevice(member, own, null), "owner");
+  assert.strictEqual(canCommand(member, own, null), true);
+  assert.strictEqual(roleForDevice({ id: 3, role: "owner" }, own, null), null);
+});